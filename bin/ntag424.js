@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * NTAG424 Command-Line Tool
+ *
+ * Run `ntag424 --help` for usage.
+ */
+
+const CLI = require('../lib/cli');
+
+CLI.run(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
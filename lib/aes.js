@@ -2,13 +2,16 @@
  * AES Encryption/Decryption Operations
  * 
  * Provides AES encryption and decryption operations in CBC and ECB modes.
- * All operations use AES-128 with proper padding handling and security measures.
+ * All operations use AES-128 with explicit padding schemes and security measures.
  */
 
 const crypto = require('crypto');
 const { ValidationError, SecurityError } = require('./error-types');
 const { MemoryManager } = require('./secure-memory');
 
+const BLOCK_SIZE = 16;
+const PADDING_SCHEMES = ['none', 'iso9797m2', 'zero', 'pkcs7'];
+
 /**
  * AES Operations
  */
@@ -19,9 +22,10 @@ class AES {
    * @param {Buffer} key - 16-byte AES key
    * @param {Buffer} data - Data to encrypt
    * @param {Buffer} iv - Initialization vector (16 bytes). If null, uses zero IV
+   * @param {Object} options - Optional configuration (padding: 'pkcs7', 'iso9797m2', 'zero' or 'none')
    * @returns {Buffer} Encrypted data
    */
-  static cbcEncrypt(key, data, iv = null) {
+  static cbcEncrypt(key, data, iv = null, options = {}) {
     try {
       if (!Buffer.isBuffer(key) || key.length !== 16) {
         throw new ValidationError('Key must be a 16-byte Buffer', 'key', key?.length, 16);
@@ -37,10 +41,12 @@ class AES {
         throw new ValidationError('IV must be a 16-byte Buffer', 'iv', actualIV?.length, 16);
       }
       
+      const plaintext = this.pad(data, options.padding);
+      
       const cipher = crypto.createCipheriv('aes-128-cbc', key, actualIV);
-      cipher.setAutoPadding(true);
+      cipher.setAutoPadding(false);
       
-      let encrypted = cipher.update(data);
+      let encrypted = cipher.update(plaintext);
       encrypted = Buffer.concat([encrypted, cipher.final()]);
       
       return encrypted;
@@ -57,9 +63,10 @@ class AES {
    * @param {Buffer} key - 16-byte AES key
    * @param {Buffer} data - Data to decrypt
    * @param {Buffer} iv - Initialization vector (16 bytes). If null, uses zero IV
+   * @param {Object} options - Optional configuration (padding: 'pkcs7', 'iso9797m2', 'zero' or 'none')
    * @returns {Buffer} Decrypted data
    */
-  static cbcDecrypt(key, data, iv = null) {
+  static cbcDecrypt(key, data, iv = null, options = {}) {
     try {
       if (!Buffer.isBuffer(key) || key.length !== 16) {
         throw new ValidationError('Key must be a 16-byte Buffer', 'key', key?.length, 16);
@@ -83,13 +90,15 @@ class AES {
         throw new ValidationError('IV must be a 16-byte Buffer', 'iv', actualIV?.length, 16);
       }
       
+      const padding = this._validatePadding(options.padding);
+      
       const decipher = crypto.createDecipheriv('aes-128-cbc', key, actualIV);
-      decipher.setAutoPadding(true);
+      decipher.setAutoPadding(false);
       
       let decrypted = decipher.update(data);
       decrypted = Buffer.concat([decrypted, decipher.final()]);
       
-      return decrypted;
+      return this.unpad(decrypted, padding);
     } catch (error) {
       if (error instanceof ValidationError) {
         throw error;
@@ -171,6 +180,120 @@ class AES {
       throw new SecurityError(`AES ECB decryption failed: ${error.message}`, 'DECRYPTION_FAILURE');
     }
   }
+  
+  /**
+   * Pad data to the AES block size
+   * 
+   * 'none' requires block-aligned input, 'iso9797m2' appends 0x80 then zeros (ISO/IEC 9797-1
+   * method 2), 'zero' appends zeros only when needed and 'pkcs7' appends the pad length.
+   * @param {Buffer} data - Data to pad
+   * @param {string} padding - Padding scheme, defaults to 'pkcs7'
+   * @returns {Buffer} Block-aligned data
+   */
+  static pad(data, padding = 'pkcs7') {
+    if (!Buffer.isBuffer(data)) {
+      throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
+    }
+    
+    const scheme = this._validatePadding(padding);
+    
+    switch (scheme) {
+      case 'none':
+        if (data.length % BLOCK_SIZE !== 0) {
+          throw new ValidationError('Data length must be multiple of 16 bytes without padding', 'data', data.length, 'multiple of 16');
+        }
+        return Buffer.from(data);
+        
+      case 'iso9797m2': {
+        const padded = Buffer.alloc((Math.floor(data.length / BLOCK_SIZE) + 1) * BLOCK_SIZE, 0x00);
+        data.copy(padded, 0);
+        padded[data.length] = 0x80;
+        return padded;
+      }
+      
+      case 'zero': {
+        const padded = Buffer.alloc(Math.max(1, Math.ceil(data.length / BLOCK_SIZE)) * BLOCK_SIZE, 0x00);
+        data.copy(padded, 0);
+        return padded;
+      }
+      
+      default: {
+        const padLength = BLOCK_SIZE - (data.length % BLOCK_SIZE);
+        return Buffer.concat([data, Buffer.alloc(padLength, padLength)]);
+      }
+    }
+  }
+  
+  /**
+   * Remove block padding from decrypted data
+   * 
+   * Zero padding is ambiguous for data that ends in 0x00 bytes; those bytes are removed too.
+   * @param {Buffer} data - Block-aligned decrypted data
+   * @param {string} padding - Padding scheme, defaults to 'pkcs7'
+   * @returns {Buffer} Data without padding
+   */
+  static unpad(data, padding = 'pkcs7') {
+    if (!Buffer.isBuffer(data)) {
+      throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
+    }
+    
+    const scheme = this._validatePadding(padding);
+    
+    if (data.length % BLOCK_SIZE !== 0) {
+      throw new ValidationError('Data length must be multiple of 16 bytes', 'data', data.length, 'multiple of 16');
+    }
+    
+    switch (scheme) {
+      case 'none':
+        return data;
+        
+      case 'iso9797m2':
+      case 'zero': {
+        let end = data.length - 1;
+        while (end >= 0 && data[end] === 0x00) {
+          end--;
+        }
+        
+        if (scheme === 'zero') {
+          return data.slice(0, end + 1);
+        }
+        
+        if (end < 0 || data[end] !== 0x80) {
+          throw new SecurityError('Invalid ISO/IEC 9797-1 padding', 'PADDING_FAILURE');
+        }
+        return data.slice(0, end);
+      }
+      
+      default: {
+        const padLength = data.length > 0 ? data[data.length - 1] : 0;
+        let invalid = padLength === 0 || padLength > BLOCK_SIZE ? 1 : 0;
+        
+        // Check every candidate byte so the failure does not depend on the first mismatch
+        for (let i = 1; i <= BLOCK_SIZE && i <= data.length; i++) {
+          if (i <= padLength && data[data.length - i] !== padLength) {
+            invalid = 1;
+          }
+        }
+        
+        if (invalid) {
+          throw new SecurityError('Invalid PKCS#7 padding', 'PADDING_FAILURE');
+        }
+        return data.slice(0, data.length - padLength);
+      }
+    }
+  }
+  
+  /**
+   * Validate padding scheme name
+   * @param {string} padding - Padding scheme, defaults to 'pkcs7'
+   * @returns {string} Validated padding scheme
+   */
+  static _validatePadding(padding = 'pkcs7') {
+    if (!PADDING_SCHEMES.includes(padding)) {
+      throw new ValidationError(`Padding must be one of: ${PADDING_SCHEMES.join(', ')}`, 'padding', padding);
+    }
+    return padding;
+  }
 }
 
 module.exports = AES;
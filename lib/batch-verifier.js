@@ -0,0 +1,258 @@
+/**
+ * Streaming Batch Verification
+ *
+ * Verifies large scan logs without blocking the event loop. Each input (a URL, a query
+ * string, a JSON line or a { picc, enc, cmac } object) is verified on its own turn of the
+ * event loop, up to `concurrency` verifications are in flight while replay stores do I/O,
+ * and results leave the stream in input order, tagged with the input's line number.
+ */
+
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const Decoder = require('./decoder');
+const { ValidationError, DecryptionError } = require('./error-types');
+
+// Error codes counted as malformed input rather than failed verification
+const MALFORMED_CODES = ['VALIDATION_ERROR', 'SDM_PROFILE_ERROR'];
+
+/**
+ * Transform stream turning scan inputs into verification results
+ */
+class BatchVerifyStream extends Transform {
+
+  /**
+   * @param {Decoder} decoder - Configured decoder; its replay store, if any, is applied
+   * @param {Object} options - Optional configuration (concurrency, maxErrors, includeInput)
+   */
+  constructor(decoder, options = {}) {
+    super({ writableObjectMode: true, readableObjectMode: true });
+    
+    const { concurrency = 4, maxErrors = Infinity, includeInput = false } = options;
+    
+    if (!(decoder instanceof Decoder)) {
+      throw new ValidationError('decoder must be a Decoder instance', 'decoder', typeof decoder, 'Decoder');
+    }
+    
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError('concurrency must be a positive integer', 'concurrency', concurrency, '>=1');
+    }
+    
+    if (maxErrors !== Infinity && (!Number.isInteger(maxErrors) || maxErrors < 0)) {
+      throw new ValidationError('maxErrors must be a non-negative integer or Infinity', 'maxErrors', maxErrors, '>=0');
+    }
+    
+    this.decoder = decoder;
+    this.concurrency = concurrency;
+    this.maxErrors = maxErrors;
+    this.includeInput = includeInput;
+    this.lineNumber = 0;
+    this.pending = [];
+    this.startTime = Date.now();
+    this.stats = {
+      total: 0,
+      valid: 0,
+      invalidCmac: 0,
+      replayed: 0,
+      malformed: 0,
+      failed: 0,
+      skipped: 0,
+      durationMs: 0
+    };
+  }
+
+  /**
+   * Queue one input for verification
+   * @param {string|Buffer|Object} chunk - Input item
+   * @param {string} encoding - Unused in object mode
+   * @param {Function} callback - Called when the stream can accept the next input
+   */
+  _transform(chunk, encoding, callback) {
+    const line = ++this.lineNumber;
+    const input = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : chunk;
+    
+    if (typeof input === 'string' && input.trim().length === 0) {
+      this.stats.skipped++;
+      return callback();
+    }
+    
+    this.pending.push(this._verifyOne(line, input));
+    
+    if (this.pending.length < this.concurrency) {
+      return callback();
+    }
+    
+    this._drainHead().then(() => callback(), callback);
+  }
+
+  /**
+   * Emit remaining results and the summary
+   * @param {Function} callback - Called when all results are pushed
+   */
+  _flush(callback) {
+    const drainAll = async () => {
+      while (this.pending.length > 0) {
+        await this._drainHead();
+      }
+    };
+    
+    drainAll().then(() => {
+      this.stats.durationMs = Date.now() - this.startTime;
+      this.emit('summary', { ...this.stats });
+      callback();
+    }, callback);
+  }
+
+  /**
+   * Push the oldest queued result, keeping output in input order
+   * @returns {Promise<void>} Resolves once the result is pushed
+   */
+  async _drainHead() {
+    const record = await this.pending.shift();
+    
+    this._count(record);
+    this.push(record);
+    
+    const errors = this.stats.malformed + this.stats.failed;
+    if (errors > this.maxErrors) {
+      throw new DecryptionError(
+        `Batch verification stopped after ${errors} errors (maxErrors ${this.maxErrors})`,
+        'batch',
+        { line: record.line, stats: { ...this.stats } }
+      );
+    }
+  }
+
+  /**
+   * Verify one input on its own turn of the event loop
+   * @param {number} line - 1-based input line number
+   * @param {string|Object} input - URL, query string, JSON line or decoder input object
+   * @returns {Promise<Object>} Result record
+   */
+  async _verifyOne(line, input) {
+    await new Promise(resolve => setImmediate(resolve));
+    
+    let result;
+    try {
+      result = await this.decoder.verify(this._parseInput(input));
+    } catch (error) {
+      result = { success: false, error: error.message, errorCode: error.code, errorType: error.name };
+    }
+    
+    return this._toRecord(line, input, result);
+  }
+
+  /**
+   * Turn a JSON line into an object; other strings are passed to the decoder as they are
+   * @param {string|Object} input - Input item
+   * @returns {string|Object} Decoder input
+   */
+  _parseInput(input) {
+    if (typeof input !== 'string') {
+      return input;
+    }
+    
+    const text = input.trim();
+    
+    if (text.startsWith('{')) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new ValidationError(`Invalid JSON input: ${error.message}`, 'input', 'unparseable');
+      }
+    }
+    
+    return text;
+  }
+
+  /**
+   * Build the emitted record, leaving out session keys and raw decrypted blocks
+   * @param {number} line - Input line number
+   * @param {string|Object} input - Original input
+   * @param {Object} result - Decoder result
+   * @returns {Object} Result record
+   */
+  _toRecord(line, input, result) {
+    const record = { line };
+    
+    if (this.includeInput) {
+      record.input = input;
+    }
+    
+    if (!result.success) {
+      record.status = result.errorCode === 'REPLAY_DETECTED'
+        ? 'replayed'
+        : (MALFORMED_CODES.includes(result.errorCode) ? 'malformed' : 'failed');
+      
+      return { ...record, valid: false, error: result.error, errorCode: result.errorCode };
+    }
+    
+    return {
+      ...record,
+      status: result.cmacValid === false ? 'invalidCmac' : 'valid',
+      valid: result.cmacValid !== false,
+      uid: result.uid,
+      readCounter: result.readCounter,
+      cmacValid: result.cmacValid,
+      fileData: result.fileData ? result.fileData.ascii : null,
+      tamper: result.tamper,
+      keyId: result.keyId,
+      staleKey: result.staleKey
+    };
+  }
+
+  /**
+   * Update statistics for a record
+   * @param {Object} record - Result record
+   */
+  _count(record) {
+    this.stats.total++;
+    this.stats[record.status]++;
+  }
+}
+
+/**
+ * Batch Verification Helpers
+ */
+class BatchVerifier {
+
+  /**
+   * Create a verification transform stream
+   * @param {Decoder} decoder - Configured decoder
+   * @param {Object} options - Optional configuration (concurrency, maxErrors, includeInput)
+   * @returns {BatchVerifyStream} Transform stream
+   */
+  static createStream(decoder, options = {}) {
+    return new BatchVerifyStream(decoder, options);
+  }
+
+  /**
+   * Verify inputs from an iterable, async iterable or text stream
+   *
+   * Text streams (such as fs.createReadStream of a log) are split into lines.
+   * The returned iterable exposes live statistics as `stats`.
+   * @param {Iterable|AsyncIterable|Readable} source - Inputs
+   * @param {Decoder} decoder - Configured decoder
+   * @param {Object} options - Optional configuration (concurrency, maxErrors, includeInput)
+   * @returns {AsyncIterable<Object>} Result records, with a `stats` property
+   */
+  static verify(source, decoder, options = {}) {
+    const stream = new BatchVerifyStream(decoder, options);
+    const input = source instanceof Readable && !source.readableObjectMode
+      ? readline.createInterface({ input: source, crlfDelay: Infinity })
+      : source;
+    
+    Readable.from(input, { objectMode: true }).on('error', error => stream.destroy(error)).pipe(stream);
+    
+    return {
+      [Symbol.asyncIterator]: () => stream[Symbol.asyncIterator](),
+      get stats() {
+        return { ...stream.stats };
+      }
+    };
+  }
+}
+
+module.exports = {
+  BatchVerifier,
+  BatchVerifyStream
+};
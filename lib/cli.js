@@ -0,0 +1,424 @@
+/**
+ * Command-Line Interface
+ *
+ * Implements the `ntag424` command used to debug tags without throwaway scripts.
+ * Keys are read from a key file or the environment, never from argv, so they do not
+ * end up in shell history or process listings.
+ */
+
+const fs = require('fs');
+const Encoder = require('./encoder');
+const Decoder = require('./decoder');
+const SDMConfig = require('./sdm-config');
+const KeyWrap = require('./key-wrap');
+const KCV = require('./kcv');
+const { FileCounterStore } = require('./replay-guard');
+const { ValidationError } = require('./error-types');
+
+const BOOLEAN_FLAGS = ['json', 'help', 'wrap'];
+
+// Command-line option -> encoder/decoder option
+const CRYPTO_OPTIONS = {
+  profile: 'sdmProfile',
+  mode: 'sunMode',
+  crypto: 'cryptoMode',
+  kdf: 'keyDerivationMethod'
+};
+
+const USAGE = `Usage: ntag424 <command> [options]
+
+Commands:
+  keygen [--out FILE] [--wrap]           Generate a master key (--wrap: passphrase envelope)
+  encrypt --uid HEX --counter N [--file-data TEXT]
+                                         Encrypt PICC data and file data
+  url --uid HEX --counter N --base-url URL [--file-data TEXT]
+                                         Encrypt and print the tag URL
+  decrypt <url|query>                    Decrypt a SUN message and show its contents
+  verify <url|query> [--replay-store FILE]
+                                         Verify a SUN message; exit code 1 if it is not valid
+  profiles [name]                        List SDM profiles or show one
+
+Options:
+  --profile NAME    SDM profile (sdmProfile)
+  --mode MODE       SUN mode: zeroVector, nxp or plain (sunMode)
+  --crypto MODE     aes or lrp (cryptoMode)
+  --kdf METHOD      Key derivation method (keyDerivationMethod)
+  --key-file FILE   File holding the master key as hex or a wrapped key envelope
+  --json            Print JSON instead of text
+
+Keys are read from --key-file, NTAG424_KEY_FILE or NTAG424_MASTER_KEY. Wrapped keys are
+unwrapped with NTAG424_KEY_PASSPHRASE or NTAG424_KEK.`;
+
+/**
+ * NTAG424 Command-Line Interface
+ */
+class CLI {
+
+  /**
+   * Run a command
+   * @param {Array<string>} argv - Arguments after the executable and script name
+   * @param {Object} io - Optional { stdout, stderr, env } for embedding and testing
+   * @returns {Promise<number>} Exit code: 0 success, 1 verification failed, 2 usage or input error
+   */
+  static async run(argv, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr, env = process.env } = io;
+    let args;
+    
+    const commands = {
+      keygen: () => this.keygen(args, env),
+      encrypt: () => this.encrypt(args, env),
+      url: () => this.url(args, env),
+      decrypt: () => this.decrypt(args, env),
+      verify: () => this.verify(args, env),
+      profiles: () => this.profiles(args)
+    };
+    
+    try {
+      args = this.parseArgs(argv);
+      
+      if (!args.command || args.flags.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+      }
+      
+      if (!commands[args.command]) {
+        stderr.write(`Unknown command: ${args.command}\n\n${USAGE}\n`);
+        return 2;
+      }
+      
+      const { data, lines, exitCode = 0 } = await commands[args.command]();
+      
+      stdout.write(args.flags.json ? `${JSON.stringify(data, null, 2)}\n` : `${lines.join('\n')}\n`);
+      return exitCode;
+    } catch (error) {
+      const code = error.code ? ` [${error.code}]` : '';
+      
+      if (args && args.flags.json) {
+        stderr.write(`${JSON.stringify({ success: false, error: error.message, errorCode: error.code || null })}\n`);
+      } else {
+        stderr.write(`Error${code}: ${error.message}\n`);
+      }
+      return 2;
+    }
+  }
+
+  /**
+   * keygen: generate a master key
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {Object} Command output
+   */
+  static keygen(args, env) {
+    const key = Encoder.generateMasterKey();
+    const kcv = KCV.calculate(key);
+    let output = key;
+    
+    if (args.flags.wrap) {
+      if (!env.NTAG424_KEY_PASSPHRASE) {
+        throw new ValidationError('--wrap needs the passphrase in NTAG424_KEY_PASSPHRASE', 'NTAG424_KEY_PASSPHRASE', null);
+      }
+      output = KeyWrap.wrapWithPassphrase(key, env.NTAG424_KEY_PASSPHRASE, { encoding: 'pem' });
+    }
+    
+    if (args.options.out) {
+      fs.writeFileSync(args.options.out, output.endsWith('\n') ? output : `${output}\n`, { mode: 0o600, flag: 'wx' });
+      
+      return {
+        data: { file: args.options.out, wrapped: Boolean(args.flags.wrap), kcv },
+        lines: [`Key written to ${args.options.out}${args.flags.wrap ? ' (wrapped)' : ''}`, `KCV: ${kcv}`]
+      };
+    }
+    
+    return {
+      data: args.flags.wrap ? { wrappedKey: output, kcv } : { masterKey: key, kcv },
+      lines: args.flags.wrap ? [output.trimEnd(), `KCV: ${kcv}`] : [`Master key: ${key}`, `KCV: ${kcv}`]
+    };
+  }
+
+  /**
+   * encrypt: encrypt PICC data and optional file data
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {Object} Command output
+   */
+  static encrypt(args, env) {
+    const encrypted = this._encrypt(args, env);
+    const { picc, enc, cmac } = encrypted.encryptedData;
+    
+    return {
+      data: { encryptedData: encrypted.encryptedData, metadata: encrypted.metadata },
+      lines: [
+        `PICC: ${picc}`,
+        ...(enc ? [`ENC:  ${enc}`] : []),
+        `CMAC: ${cmac}`,
+        `Profile: ${encrypted.metadata.profileUsed}`
+      ]
+    };
+  }
+
+  /**
+   * url: encrypt and build the tag URL
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {Object} Command output
+   */
+  static url(args, env) {
+    const baseUrl = this._requireOption(args, 'base-url');
+    const url = Encoder.generateURL(this._encrypt(args, env), baseUrl);
+    
+    return { data: { url }, lines: [url] };
+  }
+
+  /**
+   * decrypt: decrypt a SUN message
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {Object} Command output
+   */
+  static decrypt(args, env) {
+    const decoder = new Decoder(this.readKey(args, env), this._cryptoOptions(args));
+    const result = decoder.decrypt(this._requireInput(args));
+    
+    return this._formatResult(result);
+  }
+
+  /**
+   * verify: decrypt a SUN message and check its CMAC and, optionally, its read counter
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {Promise<Object>} Command output with exit code 1 when not valid
+   */
+  static async verify(args, env) {
+    const options = this._cryptoOptions(args);
+    
+    if (args.options['replay-store']) {
+      options.replayStore = new FileCounterStore(args.options['replay-store']);
+    }
+    
+    const decoder = new Decoder(this.readKey(args, env), options);
+    const result = await decoder.verify(this._requireInput(args));
+    const valid = result.success && result.cmacValid === true;
+    const output = this._formatResult(result);
+    
+    output.data = { valid, ...output.data };
+    output.lines.unshift(valid ? 'VALID' : 'NOT VALID');
+    output.exitCode = valid ? 0 : 1;
+    
+    return output;
+  }
+
+  /**
+   * profiles: list SDM profiles or describe one
+   * @param {Object} args - Parsed arguments
+   * @returns {Object} Command output
+   */
+  static profiles(args) {
+    const [name] = args.positionals;
+    
+    if (name) {
+      const info = SDMConfig.getProfileInfo(name);
+      const layout = Object.entries(info.dataLayout)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `  ${key}: ${value}`);
+      const capabilities = Object.entries(info.capabilities).map(([key, value]) => `  ${key}: ${value}`);
+      
+      return {
+        data: info,
+        lines: [`${info.name} - ${info.description}`, 'Capabilities:', ...capabilities, 'Data layout:', ...layout]
+      };
+    }
+    
+    const profiles = SDMConfig.getAvailableProfiles().map(profileName => SDMConfig.getProfileInfo(profileName));
+    
+    return {
+      data: profiles,
+      lines: profiles.map(info => `${info.name.padEnd(16)} ${info.description}`)
+    };
+  }
+
+  /**
+   * Read the master key from --key-file, NTAG424_KEY_FILE or NTAG424_MASTER_KEY
+   *
+   * Key files may hold a hex key or a KeyWrap envelope, which is unwrapped with
+   * NTAG424_KEY_PASSPHRASE or NTAG424_KEK.
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {string} Master key as hex string
+   */
+  static readKey(args, env) {
+    const file = args.options['key-file'] || env.NTAG424_KEY_FILE;
+    
+    if (!file) {
+      if (!env.NTAG424_MASTER_KEY) {
+        throw new ValidationError('No master key: use --key-file, NTAG424_KEY_FILE or NTAG424_MASTER_KEY', 'masterKey', null);
+      }
+      return env.NTAG424_MASTER_KEY.trim();
+    }
+    
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new ValidationError(`Cannot read key file: ${error.message}`, 'keyFile', file);
+    }
+    
+    if (/^[0-9A-Fa-f]{32}$/.test(content)) {
+      return content;
+    }
+    
+    if (env.NTAG424_KEY_PASSPHRASE) {
+      return KeyWrap.unwrapWithPassphrase(content, env.NTAG424_KEY_PASSPHRASE);
+    }
+    
+    if (env.NTAG424_KEK) {
+      return KeyWrap.unwrapWithKek(content, env.NTAG424_KEK);
+    }
+    
+    throw new ValidationError('Key file holds a wrapped key: set NTAG424_KEY_PASSPHRASE or NTAG424_KEK', 'keyFile', file);
+  }
+
+  /**
+   * Parse command-line arguments
+   * @param {Array<string>} argv - Arguments
+   * @returns {Object} { command, positionals, options, flags }
+   */
+  static parseArgs(argv) {
+    const result = { command: null, positionals: [], options: {}, flags: {} };
+    
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      
+      if (!arg.startsWith('--')) {
+        if (result.command === null) {
+          result.command = arg;
+        } else {
+          result.positionals.push(arg);
+        }
+        continue;
+      }
+      
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      
+      if (name === 'key' || name === 'master-key') {
+        throw new ValidationError('Keys are not accepted on the command line; use --key-file or NTAG424_MASTER_KEY', name, '[REDACTED]');
+      }
+      
+      if (BOOLEAN_FLAGS.includes(name)) {
+        result.flags[name] = true;
+      } else if (inlineValue !== undefined) {
+        result.options[name] = inlineValue;
+      } else if (i + 1 < argv.length) {
+        result.options[name] = argv[++i];
+      } else {
+        throw new ValidationError(`Option --${name} needs a value`, name, null);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Encrypt from --uid, --counter and --file-data
+   * @param {Object} args - Parsed arguments
+   * @param {Object} env - Environment variables
+   * @returns {Object} Encoder result
+   */
+  static _encrypt(args, env) {
+    const uid = this._requireOption(args, 'uid');
+    const counter = Number(this._requireOption(args, 'counter'));
+    
+    return Encoder.encrypt(this.readKey(args, env), uid, counter, args.options['file-data'] || null, this._cryptoOptions(args));
+  }
+
+  /**
+   * Collect encoder/decoder options from the command line
+   * @param {Object} args - Parsed arguments
+   * @returns {Object} Options
+   */
+  static _cryptoOptions(args) {
+    const options = {};
+    
+    for (const [name, option] of Object.entries(CRYPTO_OPTIONS)) {
+      if (args.options[name] !== undefined) {
+        options[option] = args.options[name];
+      }
+    }
+    
+    return options;
+  }
+
+  /**
+   * Get a required option
+   * @param {Object} args - Parsed arguments
+   * @param {string} name - Option name
+   * @returns {string} Option value
+   */
+  static _requireOption(args, name) {
+    if (args.options[name] === undefined) {
+      throw new ValidationError(`Missing required option --${name}`, name, null);
+    }
+    return args.options[name];
+  }
+
+  /**
+   * Get the URL or query string argument
+   * @param {Object} args - Parsed arguments
+   * @returns {string} Decoder input
+   */
+  static _requireInput(args) {
+    const [input] = args.positionals;
+    
+    if (!input) {
+      throw new ValidationError(`${args.command} needs a URL or query string argument`, 'input', null);
+    }
+    return input;
+  }
+
+  /**
+   * Format a decoder result, leaving out session keys and raw decrypted blocks
+   * @param {Object} result - Decoder result
+   * @returns {Object} Command output
+   */
+  static _formatResult(result) {
+    if (!result.success) {
+      return {
+        data: { success: false, error: result.error, errorCode: result.errorCode, details: result.details },
+        lines: [`Error [${result.errorCode}]: ${result.error}`],
+        exitCode: 1
+      };
+    }
+    
+    const data = {
+      success: true,
+      uid: result.uid,
+      readCounter: result.readCounter,
+      cmacValid: result.cmacValid,
+      fileData: result.fileData ? result.fileData.ascii : null,
+      tamper: result.tamper,
+      keyId: result.keyId,
+      replay: result.replay || null
+    };
+    
+    const lines = [
+      `UID:          ${data.uid}`,
+      `Read counter: ${data.readCounter}`,
+      `CMAC valid:   ${data.cmacValid}`
+    ];
+    
+    if (data.fileData !== null) {
+      lines.push(`File data:    ${data.fileData}`);
+    }
+    
+    if (data.tamper) {
+      lines.push(`Tamper:       ${JSON.stringify(data.tamper)}`);
+    }
+    
+    if (data.replay) {
+      lines.push(`Replay:       ${data.replay.rule}`);
+    }
+    
+    return { data, lines };
+  }
+}
+
+module.exports = CLI;
@@ -1,19 +1,125 @@
 /**
  * CMAC (Cipher-based Message Authentication Code) Operations
  * 
- * Provides AES-CMAC calculation and verification using the node-aes-cmac library.
+ * Provides native AES-CMAC (RFC 4493) calculation and verification on Node's built-in
+ * AES-128-ECB, with subkey access, incremental hashing and NXP MACt truncation.
  * CMAC is essential for NTAG424 authentication and data integrity verification.
  */
 
+const crypto = require('crypto');
 const { ValidationError, SecurityError } = require('./error-types');
 const { MemoryManager } = require('./secure-memory');
 
-let aesCmac;
-try {
-  const { aesCmac: importedAesCmac } = require('node-aes-cmac');
-  aesCmac = importedAesCmac;
-} catch (error) {
-  throw new Error('node-aes-cmac is required for production use. Install with: npm install node-aes-cmac');
+const BLOCK_SIZE = 16;
+const CONST_RB = 0x87;
+
+/**
+ * Incremental AES-CMAC context
+ */
+class CMACContext {
+  /**
+   * @param {Buffer} key - 16-byte AES key for CMAC calculation
+   */
+  constructor(key) {
+    if (!Buffer.isBuffer(key) || key.length !== BLOCK_SIZE) {
+      throw new ValidationError('Key must be a 16-byte Buffer', 'key', key?.length, BLOCK_SIZE);
+    }
+    
+    this.cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    this.cipher.setAutoPadding(false);
+    
+    const { k1, k2 } = CMAC.generateSubkeys(key);
+    this.k1 = k1;
+    this.k2 = k2;
+    this.state = Buffer.alloc(BLOCK_SIZE, 0x00);
+    this.pending = Buffer.alloc(0);
+    this.finalized = false;
+  }
+  
+  /**
+   * Add data to the CMAC calculation
+   * @param {Buffer} data - Data to authenticate
+   * @returns {CMACContext} This context for chaining
+   */
+  update(data) {
+    if (this.finalized) {
+      throw new SecurityError('CMAC context already finalized', 'CMAC_CONTEXT_FINALIZED');
+    }
+    
+    if (!Buffer.isBuffer(data)) {
+      throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
+    }
+    
+    let pending = Buffer.concat([this.pending, data]);
+    
+    // The last block is held back until digest() because it gets a subkey
+    while (pending.length > BLOCK_SIZE) {
+      this._processBlock(pending.slice(0, BLOCK_SIZE));
+      pending = pending.slice(BLOCK_SIZE);
+    }
+    
+    this.pending = Buffer.from(pending);
+    return this;
+  }
+  
+  /**
+   * Finish the CMAC calculation
+   * @returns {Buffer} 16-byte CMAC value
+   */
+  digest() {
+    if (this.finalized) {
+      throw new SecurityError('CMAC context already finalized', 'CMAC_CONTEXT_FINALIZED');
+    }
+    
+    const lastBlock = Buffer.alloc(BLOCK_SIZE, 0x00);
+    this.pending.copy(lastBlock, 0);
+    
+    let subkey = this.k1;
+    if (this.pending.length < BLOCK_SIZE) {
+      lastBlock[this.pending.length] = 0x80;
+      subkey = this.k2;
+    }
+    
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      lastBlock[i] ^= subkey[i];
+    }
+    
+    this._processBlock(lastBlock);
+    const mac = Buffer.from(this.state);
+    
+    this._clear();
+    return mac;
+  }
+  
+  /**
+   * Finish the CMAC calculation with NXP truncation
+   * @returns {Buffer} 8-byte MACt
+   */
+  digestTruncated() {
+    return CMAC.truncate(this.digest());
+  }
+  
+  /**
+   * Encrypt one block into the CBC-MAC state
+   * @param {Buffer} block - 16-byte block
+   */
+  _processBlock(block) {
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      this.state[i] ^= block[i];
+    }
+    this.state = this.cipher.update(this.state);
+  }
+  
+  /**
+   * Clear intermediate state and subkeys
+   */
+  _clear() {
+    this.state.fill(0);
+    this.pending.fill(0);
+    this.k1.fill(0);
+    this.k2.fill(0);
+    this.finalized = true;
+  }
 }
 
 /**
@@ -37,17 +143,7 @@ class CMAC {
         throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
       }
       
-      const result = aesCmac(key, data);
-      
-      if (Buffer.isBuffer(result)) {
-        return result;
-      } else if (result && result.buffer) {
-        return Buffer.from(result);
-      } else if (typeof result === 'string') {
-        return Buffer.from(result, 'hex');
-      } else {
-        return Buffer.from(result);
-      }
+      return new CMACContext(key).update(data).digest();
     } catch (error) {
       if (error instanceof ValidationError) {
         throw error;
@@ -56,6 +152,83 @@ class CMAC {
     }
   }
   
+  /**
+   * Calculate AES-CMAC truncated to NXP MACt format
+   * @param {Buffer} key - 16-byte AES key for CMAC calculation
+   * @param {Buffer} data - Data to authenticate
+   * @returns {Buffer} 8-byte MACt
+   */
+  static calculateTruncated(key, data) {
+    return this.truncate(this.calculate(key, data));
+  }
+  
+  /**
+   * Create an incremental AES-CMAC context
+   * @param {Buffer} key - 16-byte AES key for CMAC calculation
+   * @returns {CMACContext} Context with update() and digest()
+   */
+  static create(key) {
+    return new CMACContext(key);
+  }
+  
+  /**
+   * Generate the AES-CMAC subkeys K1 and K2 (RFC 4493 section 2.3)
+   * @param {Buffer} key - 16-byte AES key
+   * @returns {Object} Object containing k1 and k2 as 16-byte Buffers
+   */
+  static generateSubkeys(key) {
+    if (!Buffer.isBuffer(key) || key.length !== 16) {
+      throw new ValidationError('Key must be a 16-byte Buffer', 'key', key?.length, 16);
+    }
+    
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    const l = cipher.update(Buffer.alloc(BLOCK_SIZE, 0x00));
+    
+    const k1 = this._doubleBlock(l);
+    const k2 = this._doubleBlock(k1);
+    l.fill(0);
+    
+    return { k1, k2 };
+  }
+  
+  /**
+   * Multiply a block by x in GF(2^128)
+   * @param {Buffer} block - 16-byte block
+   * @returns {Buffer} Doubled block
+   */
+  static _doubleBlock(block) {
+    const doubled = Buffer.alloc(BLOCK_SIZE);
+    
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      doubled[i] = ((block[i] << 1) | (i + 1 < BLOCK_SIZE ? block[i + 1] >> 7 : 0)) & 0xFF;
+    }
+    
+    if (block[0] & 0x80) {
+      doubled[BLOCK_SIZE - 1] ^= CONST_RB;
+    }
+    
+    return doubled;
+  }
+  
+  /**
+   * Truncate a CMAC to NXP MACt format
+   * @param {Buffer} mac - 16-byte CMAC value
+   * @returns {Buffer} 8-byte MACt made of the odd-indexed bytes
+   */
+  static truncate(mac) {
+    if (!Buffer.isBuffer(mac) || mac.length !== 16) {
+      throw new ValidationError('MAC must be a 16-byte Buffer', 'mac', mac?.length, 16);
+    }
+    
+    const truncated = Buffer.alloc(8);
+    for (let i = 0; i < 8; i++) {
+      truncated[i] = mac[i * 2 + 1];
+    }
+    
+    return truncated;
+  }
+  
   /**
    * Verify CMAC authenticity
    * @param {Buffer} key - 16-byte AES key used for CMAC
@@ -15,7 +15,7 @@ class DataParser {
   /**
    * Parse NTAG424 data from URL
    * @param {string} url - Complete URL containing NTAG424 parameters
-   * @returns {Object} Parsed data object with picc, enc, cmac, and counter fields
+   * @returns {Object} Parsed data object with picc, uid, enc, cmac, counter, and tamper fields
    */
   static parseURL(url) {
     try {
@@ -28,9 +28,11 @@ class DataParser {
       
       return {
         picc: params.get('picc_data') || params.get('picc') || params.get('uid'),
+        uid: params.get('uid'),
         enc: params.get('enc') || params.get('enc_data') || params.get('encdata'),
         cmac: params.get('cmac') || params.get('mac'),
         counter: params.get('ctr') || params.get('counter'),
+        tamper: params.get('tt') || params.get('tamper'),
         originalUrl: url,
         baseUrl: `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`
       };
@@ -45,7 +47,7 @@ class DataParser {
   /**
    * Parse NTAG424 data from query string
    * @param {string} queryString - Query string containing NTAG424 parameters
-   * @returns {Object} Parsed data object with picc, enc, cmac, and counter fields
+   * @returns {Object} Parsed data object with picc, uid, enc, cmac, counter, and tamper fields
    */
   static parseQueryString(queryString) {
     try {
@@ -56,9 +58,11 @@ class DataParser {
       const params = new URLSearchParams(queryString);
       return {
         picc: params.get('picc_data') || params.get('picc') || params.get('uid'),
+        uid: params.get('uid'),
         enc: params.get('enc') || params.get('enc_data'),
         cmac: params.get('cmac') || params.get('mac'),
-        counter: params.get('ctr') || params.get('counter')
+        counter: params.get('ctr') || params.get('counter'),
+        tamper: params.get('tt') || params.get('tamper')
       };
     } catch (error) {
       if (error instanceof ValidationError) {
@@ -68,6 +72,120 @@ class DataParser {
     }
   }
   
+  /**
+   * Extract the SDMMAC input from the original URL text
+   * 
+   * The MAC input runs from SDMMACInputOffset up to SDMMACOffset, which is where the
+   * CMAC parameter value starts. The start is given either as an offset into the URL
+   * string or as the name of the parameter whose value begins the MAC input.
+   * @param {string} url - Original URL exactly as read from the tag
+   * @param {Object} options - Start position: offset (number) or marker (parameter name)
+   * @returns {Buffer} ASCII bytes of the MAC input
+   */
+  static extractMacInput(url, options = {}) {
+    const { start, end } = this.macInputRange(url, options);
+    return Buffer.from(url.slice(start, end), 'ascii');
+  }
+  
+  /**
+   * Locate the SDMMAC input within the original URL text
+   * @param {string} url - Original URL exactly as read from the tag
+   * @param {Object} options - Start position: offset (number) or marker (parameter name)
+   * @returns {Object} { start, end } character offsets; end is where the CMAC value starts
+   */
+  static macInputRange(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new ValidationError('URL must be a non-empty string', 'url', typeof url, 'string');
+    }
+    
+    const { offset = null, marker = null } = options;
+    
+    const macParams = [...url.matchAll(/[?&](?:cmac|mac)=/g)];
+    if (macParams.length === 0) {
+      throw new ValidationError('URL does not contain a CMAC parameter', 'url', url);
+    }
+    
+    const lastMacParam = macParams[macParams.length - 1];
+    const macOffset = lastMacParam.index + lastMacParam[0].length;
+    
+    let inputOffset = macOffset;
+    
+    if (offset !== null) {
+      if (!Number.isInteger(offset) || offset < 0 || offset > macOffset) {
+        throw new ValidationError(
+          'MAC input offset must lie before the CMAC value',
+          'offset',
+          offset,
+          `0-${macOffset}`
+        );
+      }
+      inputOffset = offset;
+    } else if (marker !== null) {
+      const escapedMarker = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const markerMatch = new RegExp(`[?&]${escapedMarker}=`).exec(url);
+      
+      if (!markerMatch || markerMatch.index >= macOffset) {
+        throw new ValidationError(
+          `MAC input marker '${marker}' not found before the CMAC parameter`,
+          'marker',
+          marker
+        );
+      }
+      inputOffset = markerMatch.index + markerMatch[0].length;
+    }
+    
+    return { start: inputOffset, end: macOffset };
+  }
+  
+  /**
+   * Locate the raw value of a query parameter within the URL text
+   * 
+   * Names are tried in order and the first occurrence of a name wins, matching
+   * URLSearchParams.get() as used by parseURL().
+   * @param {string} url - URL text
+   * @param {Array<string>} names - Parameter names, in order of preference
+   * @returns {Object|null} { name, start, end } character offsets of the value, or null
+   */
+  static findParamValue(url, names) {
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+      return null;
+    }
+    
+    const fragmentStart = url.indexOf('#', queryStart);
+    const queryEnd = fragmentStart === -1 ? url.length : fragmentStart;
+    
+    for (const name of names) {
+      let position = queryStart + 1;
+      
+      while (position <= queryEnd) {
+        const separator = url.indexOf('&', position);
+        const pairEnd = separator === -1 || separator > queryEnd ? queryEnd : separator;
+        const pair = url.slice(position, pairEnd);
+        const equals = pair.indexOf('=');
+        let key = equals === -1 ? pair : pair.slice(0, equals);
+        
+        try {
+          key = decodeURIComponent(key.replace(/\+/g, ' '));
+        } catch (error) {
+          // Malformed escapes are compared as written
+        }
+        
+        if (key === name) {
+          return {
+            name,
+            start: equals === -1 ? pairEnd : position + equals + 1,
+            end: pairEnd
+          };
+        }
+        
+        position = pairEnd + 1;
+      }
+    }
+    
+    return null;
+  }
+  
   /**
    * Validate hexadecimal string format
    * @param {string} hexString - String to validate
@@ -91,11 +209,90 @@ class DataParser {
     return true;
   }
   
+  /**
+   * Decode the PICCDataTag byte
+   * 
+   * Bit 7 flags UID mirroring, bit 6 flags SDMReadCtr mirroring, bits 5-4 are RFU
+   * and the low nibble holds the UID length.
+   * @param {number} dataTag - PICCDataTag byte
+   * @returns {Object} Decoded flags with uidMirroring, counterMirroring, uidLength, and isValid
+   */
+  static parsePiccDataTag(dataTag) {
+    if (!Number.isInteger(dataTag) || dataTag < 0 || dataTag > 0xFF) {
+      throw new ValidationError('PICCDataTag must be a byte value', 'dataTag', dataTag, '0x00-0xFF');
+    }
+    
+    const uidMirroring = (dataTag & 0x80) !== 0;
+    const counterMirroring = (dataTag & 0x40) !== 0;
+    const uidLength = uidMirroring ? dataTag & 0x0F : 0;
+    
+    const isValid = (dataTag & 0x30) === 0 &&
+      (uidMirroring || counterMirroring) &&
+      (!uidMirroring || [4, 7, 10].includes(uidLength));
+    
+    return {
+      uidMirroring,
+      counterMirroring,
+      uidLength,
+      isValid
+    };
+  }
+  
+  /**
+   * Build the PICCDataTag byte for an SDM profile
+   * @param {Object} profile - SDM profile
+   * @returns {number} PICCDataTag byte
+   */
+  static buildPiccDataTag(profile) {
+    let dataTag = 0x00;
+    
+    if (profile.includeUID) {
+      dataTag |= 0x80 | ((profile.uidLength || 7) & 0x0F);
+    }
+    
+    if (profile.includeCounter) {
+      dataTag |= 0x40;
+    }
+    
+    return dataTag;
+  }
+  
+  /**
+   * Resolve the PICC data layout from the PICCDataTag byte
+   * @param {number} dataTag - PICCDataTag byte
+   * @param {Object} config - Base SDM configuration
+   * @returns {Object} Configuration with UID and counter positions taken from the tag
+   */
+  static resolvePiccLayout(dataTag, config) {
+    const tagInfo = this.parsePiccDataTag(dataTag);
+    
+    if (!tagInfo.isValid) {
+      throw new DecryptionError(
+        `Invalid PICCDataTag: 0x${dataTag.toString(16).toUpperCase()}`,
+        'resolvePiccLayout',
+        { dataTag }
+      );
+    }
+    
+    const uidOffset = 1;
+    const counterOffset = uidOffset + tagInfo.uidLength;
+    
+    return {
+      ...config,
+      includeUID: tagInfo.uidMirroring,
+      uidOffset,
+      uidLength: tagInfo.uidLength,
+      includeCounter: tagInfo.counterMirroring,
+      counterOffset,
+      counterLength: 3
+    };
+  }
+  
   /**
    * Extract structured data from decrypted PICC data
    * @param {Buffer} decryptedPicc - Decrypted PICC data buffer
-   * @param {Object|string} sdmConfig - SDM configuration object or profile name
-   * @returns {Object} Extracted data with dataTag, uid, readCounter, etc.
+   * @param {Object|string} sdmConfig - SDM configuration object or profile name ('auto' lays out from the PICCDataTag)
+   * @returns {Object} Extracted data with dataTag, dataTagInfo, uid, readCounter, etc.
    */
   static extractPiccData(decryptedPicc, sdmConfig) {
     try {
@@ -115,8 +312,16 @@ class DataParser {
         throw new ValidationError('Invalid SDM configuration', 'sdmConfig', typeof sdmConfig);
       }
       
+      if (config.layoutFromDataTag) {
+        if (decryptedPicc.length === 0) {
+          throw new ValidationError('Decrypted PICC data is empty', 'decryptedPicc', 0, '>0');
+        }
+        config = this.resolvePiccLayout(decryptedPicc[0], config);
+      }
+      
       const result = {
         dataTag: null,
+        dataTagInfo: null,
         uid: null,
         readCounter: null,
         readCounterInt: null,
@@ -126,6 +331,7 @@ class DataParser {
       
       if (decryptedPicc.length > 0) {
         result.dataTag = decryptedPicc[0];
+        result.dataTagInfo = this.parsePiccDataTag(result.dataTag);
       }
       
       if (config.includeUID && decryptedPicc.length >= config.uidOffset + config.uidLength) {
@@ -135,7 +341,10 @@ class DataParser {
       if (config.includeCounter && decryptedPicc.length >= config.counterOffset + config.counterLength) {
         result.readCounter = decryptedPicc.slice(config.counterOffset, config.counterOffset + config.counterLength);
         try {
-          result.readCounterInt = result.readCounter.readUIntBE(0, Math.min(result.readCounter.length, 3));
+          // NXP SUN messages mirror SDMReadCtr LSB first
+          result.readCounterInt = config.counterByteOrder === 'LE'
+            ? result.readCounter.readUIntLE(0, Math.min(result.readCounter.length, 3))
+            : result.readCounter.readUIntBE(0, Math.min(result.readCounter.length, 3));
         } catch (error) {
           result.readCounterInt = 0;
           for (let i = 0; i < result.readCounter.length; i++) {
@@ -162,6 +371,47 @@ class DataParser {
     }
   }
   
+  /**
+   * Parse NTAG 424 DNA TT tamper status
+   * 
+   * The TTStatus mirror is TTPermStatus || TTCurrStatus, each one ASCII character:
+   * 'C' (closed), 'O' (open) or 'I' (invalid). Accepts the two characters, their
+   * ASCII hex encoding, or the raw two bytes.
+   * @param {string|Buffer} tamperStatus - Mirrored tamper status
+   * @returns {Object} Tamper status with permanent and current loop state
+   */
+  static parseTamperStatus(tamperStatus) {
+    let statusBytes;
+    
+    if (Buffer.isBuffer(tamperStatus)) {
+      statusBytes = tamperStatus;
+    } else if (typeof tamperStatus === 'string' && tamperStatus.length === 4 && this.validateHexString(tamperStatus)) {
+      statusBytes = Buffer.from(tamperStatus, 'hex');
+    } else if (typeof tamperStatus === 'string') {
+      statusBytes = Buffer.from(tamperStatus.toUpperCase(), 'ascii');
+    } else {
+      throw new ValidationError('Tamper status must be a string or Buffer', 'tamperStatus', typeof tamperStatus);
+    }
+    
+    if (statusBytes.length !== 2) {
+      throw new ValidationError('Tamper status must be exactly 2 bytes', 'tamperStatus', statusBytes.length, 2);
+    }
+    
+    const states = { C: 'closed', O: 'open', I: 'invalid' };
+    const permanent = states[String.fromCharCode(statusBytes[0])];
+    const current = states[String.fromCharCode(statusBytes[1])];
+    
+    if (!permanent || !current) {
+      throw new ValidationError('Tamper status contains unknown state', 'tamperStatus', statusBytes.toString('hex').toUpperCase(), "'C', 'O' or 'I'");
+    }
+    
+    return {
+      permanent,
+      current,
+      raw: statusBytes.toString('ascii')
+    };
+  }
+  
   /**
    * Convert hex string to Buffer with validation
    * @param {string} hexString - Hex string to convert
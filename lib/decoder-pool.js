@@ -0,0 +1,317 @@
+/**
+ * Worker-Thread Decoder Pool
+ *
+ * Spreads Decoder.decrypt() calls over worker threads so the synchronous decryption work,
+ * including the constant-time delays, no longer caps a single event loop. Key material is
+ * copied into fresh byte arrays and transferred to each worker once at startup; the main
+ * thread keeps no copy. destroy() zeroises every worker's Decoder before terminating it.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ValidationError, DecryptionError } = require('./error-types');
+
+const WORKER_SCRIPT = path.join(__dirname, 'decoder-worker.js');
+
+/**
+ * Decoder Pool
+ */
+class DecoderPool {
+
+  /**
+   * Create a new decoder pool; use DecoderPool.create() to wait until it is ready
+   * @param {string|Array<Object>} masterKey - Master key as hex string or a key ring with hex keys
+   * @param {Object} options - Decoder options plus size (number of workers, default: available CPUs)
+   */
+  constructor(masterKey, options = {}) {
+    const { size = (os.availableParallelism ? os.availableParallelism() : os.cpus().length), ...decoderOptions } = options;
+    
+    if (!Number.isInteger(size) || size < 1) {
+      throw new ValidationError('Pool size must be a positive integer', 'size', size, '>=1');
+    }
+    
+    if (decoderOptions.replayStore) {
+      throw new ValidationError('DecoderPool only decrypts; run replay checks on the main thread', 'replayStore', '[store]');
+    }
+    
+    this.size = size;
+    this.workers = [];
+    this.tasks = new Map();
+    this.nextTaskId = 1;
+    this.destroyed = false;
+    this.stats = { completed: 0, failed: 0 };
+    
+    const starting = [];
+    for (let i = 0; i < size; i++) {
+      starting.push(this._startWorker(masterKey, decoderOptions));
+    }
+    
+    this.ready = Promise.all(starting).catch(async error => {
+      await this.destroy();
+      throw error;
+    });
+    
+    // Callers that never await ready still see the failure through decrypt()
+    this.ready.catch(() => {});
+  }
+
+  /**
+   * Create a decoder pool and wait until every worker holds its key
+   * @param {string|Array<Object>} masterKey - Master key as hex string or a key ring with hex keys
+   * @param {Object} options - Decoder options plus size
+   * @returns {Promise<DecoderPool>} Ready pool
+   */
+  static async create(masterKey, options = {}) {
+    const pool = new DecoderPool(masterKey, options);
+    await pool.ready;
+    return pool;
+  }
+
+  /**
+   * Decrypt on the least busy worker
+   * @param {string|Object} input - URL, query string or object with picc, enc and cmac
+   * @param {Object} customOptions - Per-call decoder options (must be structured-cloneable)
+   * @returns {Promise<Object>} Decoder result, as from Decoder.decrypt()
+   */
+  async decrypt(input, customOptions = {}) {
+    await this.ready;
+    
+    if (this.destroyed) {
+      throw new DecryptionError('Decoder pool has been destroyed', 'pool');
+    }
+    
+    const live = this.workers.filter(entry => entry.alive);
+    if (live.length === 0) {
+      throw new DecryptionError('No decoder workers are running', 'pool');
+    }
+    
+    const entry = live.reduce((best, candidate) => (candidate.inFlight < best.inFlight ? candidate : best));
+    const id = this.nextTaskId++;
+    
+    return new Promise((resolve, reject) => {
+      this.tasks.set(id, { resolve, reject, entry });
+      entry.inFlight++;
+      entry.worker.postMessage({ type: 'decrypt', id, input, options: customOptions });
+    });
+  }
+
+  /**
+   * Zeroise every worker's Decoder and terminate the workers
+   * @returns {Promise<void>} Resolves when all workers have exited
+   */
+  async destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+    
+    for (const [id, task] of this.tasks) {
+      task.reject(new DecryptionError('Decoder pool was destroyed before the task finished', 'pool', { id }));
+    }
+    this.tasks.clear();
+    
+    await Promise.all(this.workers.map(entry => this._stopWorker(entry)));
+  }
+
+  /**
+   * Number of tasks waiting for a result
+   * @returns {number} Pending task count
+   */
+  get pending() {
+    return this.tasks.size;
+  }
+
+  /**
+   * Start one worker and transfer its copy of the keys
+   * @param {string|Array<Object>} masterKey - Decoder key argument
+   * @param {Object} decoderOptions - Decoder options
+   * @returns {Promise<void>} Resolves when the worker's Decoder is ready
+   */
+  _startWorker(masterKey, decoderOptions) {
+    const { keys, ...fields } = this._extractKeys(masterKey, decoderOptions);
+    const message = { type: 'init', ...fields, keys };
+    
+    const worker = new Worker(WORKER_SCRIPT);
+    const entry = { worker, inFlight: 0, alive: true };
+    this.workers.push(entry);
+    
+    return new Promise((resolve, reject) => {
+      worker.on('message', reply => {
+        if (reply.type === 'ready') {
+          resolve();
+        } else if (reply.type === 'initError') {
+          reject(this._toError(reply.error));
+        } else {
+          this._settle(reply);
+        }
+      });
+      
+      worker.on('error', error => {
+        entry.alive = false;
+        this._failWorkerTasks(entry, error);
+        reject(error);
+      });
+      
+      worker.on('exit', () => {
+        entry.alive = false;
+        this._failWorkerTasks(entry, new DecryptionError('Decoder worker exited', 'pool'));
+        reject(new DecryptionError('Decoder worker exited during startup', 'pool'));
+      });
+      
+      // Transferring detaches the arrays here, so only the worker holds the key bytes
+      worker.postMessage(message, keys.map(key => key.buffer));
+    });
+  }
+
+  /**
+   * Ask a worker to zeroise its Decoder, then terminate it
+   * @param {Object} entry - Worker entry
+   * @returns {Promise<void>} Resolves when the worker has exited
+   */
+  _stopWorker(entry) {
+    if (!entry.alive) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      const timer = setTimeout(() => entry.worker.terminate(), 1000);
+      
+      entry.worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      
+      entry.worker.on('message', reply => {
+        if (reply.type === 'destroyed') {
+          entry.worker.terminate();
+        }
+      });
+      
+      entry.worker.postMessage({ type: 'destroy' });
+    });
+  }
+
+  /**
+   * Replace a hex key with { $key: index } and collect it as a transferable byte array
+   * @param {string} key - Hex key
+   * @param {Array<Uint8Array>} keys - Collected key bytes
+   * @returns {Object} Placeholder
+   */
+  _extractKey(key, keys) {
+    if (typeof key !== 'string' || !/^[0-9A-Fa-f]{32}$/.test(key)) {
+      throw new ValidationError(
+        'Pool keys must be 32-character hex strings; key provider handles cannot be moved to worker threads',
+        'masterKey',
+        typeof key === 'string' ? '[REDACTED]' : typeof key
+      );
+    }
+    
+    // A fresh ArrayBuffer per key; Buffer.from() could share the pool slab
+    const decoded = Buffer.from(key, 'hex');
+    const bytes = new Uint8Array(16);
+    bytes.set(decoded);
+    decoded.fill(0);
+    keys.push(bytes);
+    return { $key: keys.length - 1 };
+  }
+
+  /**
+   * Build the init message fields, moving every key into the transfer list
+   * @param {string|Array<Object>} masterKey - Decoder key argument
+   * @param {Object} decoderOptions - Decoder options
+   * @returns {Object} { masterKey, options, keys } with placeholders
+   */
+  _extractKeys(masterKey, decoderOptions) {
+    const keys = [];
+    const options = { ...decoderOptions };
+    
+    const ring = Array.isArray(masterKey)
+      ? masterKey.map(entry => ({
+        ...entry,
+        key: this._extractKey(entry.key, keys),
+        sdmMetaReadKey: entry.sdmMetaReadKey ? this._extractKey(entry.sdmMetaReadKey, keys) : undefined
+      }))
+      : this._extractKey(masterKey, keys);
+    
+    if (options.sdmMetaReadKey) {
+      options.sdmMetaReadKey = this._extractKey(options.sdmMetaReadKey, keys);
+    }
+    
+    return { masterKey: ring, options, keys };
+  }
+
+  /**
+   * Resolve or reject a task from a worker reply
+   * @param {Object} reply - Worker message
+   */
+  _settle(reply) {
+    const task = this.tasks.get(reply.id);
+    if (!task) {
+      return;
+    }
+    
+    this.tasks.delete(reply.id);
+    task.entry.inFlight--;
+    
+    if (reply.type === 'result') {
+      this.stats.completed++;
+      task.resolve(this._reviveBuffers(reply.result));
+    } else {
+      this.stats.failed++;
+      task.reject(this._toError(reply.error));
+    }
+  }
+
+  /**
+   * Reject the tasks of a worker that stopped
+   * @param {Object} entry - Worker entry
+   * @param {Error} error - Cause
+   */
+  _failWorkerTasks(entry, error) {
+    for (const [id, task] of this.tasks) {
+      if (task.entry === entry) {
+        this.tasks.delete(id);
+        this.stats.failed++;
+        task.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Turn Uint8Arrays produced by structured cloning back into Buffers
+   * @param {*} value - Cloned result
+   * @returns {*} Result with Buffers
+   */
+  _reviveBuffers(value) {
+    if (value instanceof Uint8Array) {
+      return Buffer.from(value.buffer, value.byteOffset, value.length);
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this._reviveBuffers(item));
+    }
+    
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      for (const name of Object.keys(value)) {
+        value[name] = this._reviveBuffers(value[name]);
+      }
+    }
+    
+    return value;
+  }
+
+  /**
+   * Rebuild an error reported by a worker
+   * @param {Object} error - { message, code, name }
+   * @returns {ValidationError|DecryptionError} Error
+   */
+  _toError(error) {
+    if (error.name === 'ValidationError') {
+      return new ValidationError(error.message, 'worker', error.code);
+    }
+    return new DecryptionError(`Decoder worker failed: ${error.message}`, 'pool', { code: error.code, name: error.name });
+  }
+}
+
+module.exports = DecoderPool;
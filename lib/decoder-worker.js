@@ -0,0 +1,83 @@
+/**
+ * Decoder Pool Worker
+ *
+ * Runs one Decoder inside a worker thread for DecoderPool. Keys arrive once, in the
+ * 'init' message, as transferred byte arrays that are zeroed as soon as the Decoder has
+ * copied them into its secure buffers; 'destroy' zeroises the Decoder before exit. The
+ * arrays are read through views rather than copied; only the hex strings handed to the
+ * Decoder, like any hex key argument, cannot be zeroed and are left to the garbage collector.
+ */
+
+const { parentPort } = require('worker_threads');
+const Decoder = require('./decoder');
+
+let decoder = null;
+
+/**
+ * Replace { $key: index } placeholders with hex keys from the transferred arrays
+ * @param {*} value - Serialized key ring, key or options
+ * @param {Array<Uint8Array>} keys - Transferred key bytes
+ * @returns {*} Value with keys restored
+ */
+function restoreKeys(value, keys) {
+  if (Array.isArray(value)) {
+    return value.map(item => restoreKeys(item, keys));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (Number.isInteger(value.$key)) {
+      // A view over the transferred array, so no copy of the key outlives the zeroing below
+      const bytes = keys[value.$key];
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString('hex').toUpperCase();
+    }
+    
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, restoreKeys(item, keys)]));
+  }
+
+  return value;
+}
+
+/**
+ * Serialize an error for the parent thread
+ * @param {Error} error - Error
+ * @returns {Object} Message-safe error
+ */
+function toMessage(error) {
+  return { message: error.message, code: error.code, name: error.name };
+}
+
+parentPort.on('message', message => {
+  switch (message.type) {
+    case 'init': {
+      try {
+        decoder = new Decoder(restoreKeys(message.masterKey, message.keys), restoreKeys(message.options, message.keys));
+        parentPort.postMessage({ type: 'ready' });
+      } catch (error) {
+        parentPort.postMessage({ type: 'initError', error: toMessage(error) });
+      } finally {
+        message.keys.forEach(key => key.fill(0));
+      }
+      break;
+    }
+    
+    case 'decrypt': {
+      try {
+        const result = decoder.decrypt(message.input, message.options);
+        parentPort.postMessage({ type: 'result', id: message.id, result });
+      } catch (error) {
+        parentPort.postMessage({ type: 'error', id: message.id, error: toMessage(error) });
+      }
+      break;
+    }
+    
+    case 'destroy': {
+      if (decoder) {
+        decoder.destroy();
+        decoder = null;
+      }
+      parentPort.postMessage({ type: 'destroyed' });
+      parentPort.close();
+      break;
+    }
+  }
+});
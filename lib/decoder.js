@@ -6,10 +6,17 @@
 
 const AES = require('./aes');
 const CMAC = require('./cmac');
+const LRP = require('./lrp');
 const KeyDerivation = require('./key-derivation');
 const DataParser = require('./data-parser');
 const SDMConfig = require('./sdm-config');
 const { SecureBuffer, MemoryManager } = require('./secure-memory');
+const { ReplayGuard } = require('./replay-guard');
+const SessionKeyCache = require('./session-key-cache');
+const { KeyProvider } = require('./key-provider');
+const KCV = require('./kcv');
+const KeyWrap = require('./key-wrap');
+const SecretSharing = require('./secret-sharing');
 const { ValidationError, DecryptionError, ErrorHelper } = require('./error-types');
 
 /**
@@ -19,61 +26,220 @@ class Decoder {
   
   /**
    * Create a new NTAG424 Decoder instance
-   * @param {string} masterKey - Master key as hexadecimal string (32 characters for 16 bytes)
+   * @param {string|KeyHandle|KeyProvider|Array<Object>} masterKey - Master key as hexadecimal string
+   *   (32 characters for 16 bytes), a key provider handle, a key provider whose keys form the key ring,
+   *   or an ordered key ring of { keyId, version, key, kcv, validFrom, validUntil, sdmMetaReadKey }
    * @param {Object} options - Configuration options for the decoder
    */
   constructor(masterKey, options = {}) {
     try {
-      this._validateMasterKey(masterKey);
+      const {
+        sdmMetaReadKey = null,
+        kcv = null,
+        replayStore = null,
+        replayPolicy = null,
+        ...decoderOptions
+      } = options;
+      
+      if (sdmMetaReadKey && !KeyDerivation._isKeyHandle(sdmMetaReadKey)) {
+        this._validateMasterKey(sdmMetaReadKey);
+      }
+      
+      const ringEntries = this._toKeyRing(masterKey, kcv);
+      
+      this._validateKeyRing(ringEntries);
       
       this.memoryManager = new MemoryManager();
-      this.masterKeyBuffer = this.memoryManager.createSecureBuffer(16);
-      Buffer.from(masterKey, 'hex').copy(this.masterKeyBuffer.data);
+      this.keyRing = ringEntries.map(entry => this._createKeySlot(entry, sdmMetaReadKey));
+      
+      // The first ring entry doubles as the single-key view used by earlier versions;
+      // keys held by a provider have no buffer here
+      const [primary] = this.keyRing;
+      this.masterKeyBuffer = KeyDerivation._isKeyHandle(primary.masterKey) ? null : primary.masterKey;
+      this.metaReadKeyBuffer = KeyDerivation._isKeyHandle(primary.metaReadKey) ? null : primary.metaReadKey;
+      
+      if (replayPolicy !== null && !replayStore) {
+        throw new ValidationError('replayPolicy requires a replayStore', 'replayPolicy', replayPolicy?.type);
+      }
+      
+      // Replay protection is only available through verify(); decrypt() and
+      // decryptAsync() refuse to run with a replay store so checks are not skipped by accident
+      this.replayGuard = replayStore ? new ReplayGuard(replayStore, replayPolicy || undefined) : null;
       
       this.options = {
         keyDerivationMethod: 'ntag424Official',
+        keyDerivationOptions: null,
         sdmProfile: 'uidCounter',
+        sunMode: 'zeroVector',
+        cryptoMode: 'aes',
         validateCMAC: true,
         strictValidation: false,
         timingAttackProtection: true,
-        ...options
+        minLatency: 5,
+        sessionKeyCacheSize: 16,
+        ...decoderOptions
       };
       
       this._validateOptions();
+      
+      this.sessionKeyCache = new SessionKeyCache(this.options.sessionKeyCacheSize);
     } catch (error) {
       throw new ValidationError(
         `Decoder initialization failed: ${error.message}`,
         'constructor',
-        { masterKey: masterKey ? '[REDACTED]' : null, options }
+        {
+          masterKey: masterKey ? '[REDACTED]' : null,
+          options: {
+            ...options,
+            sdmMetaReadKey: options.sdmMetaReadKey ? '[REDACTED]' : undefined,
+            replayStore: options.replayStore ? '[store]' : undefined
+          }
+        }
       );
     }
   }
+  
+  /**
+   * Create a Decoder from a wrapped master key
+   * @param {string} envelope - Wrapped key envelope from KeyWrap (JSON or PEM)
+   * @param {Object} unwrapWith - Unwrapping secret: { passphrase } or { kek }
+   * @param {Object} options - Configuration options for the decoder
+   * @returns {Decoder} Decoder using the unwrapped key, confirmed against the envelope KCV
+   */
+  static fromWrappedKey(envelope, unwrapWith = {}, options = {}) {
+    const { passphrase, kek } = unwrapWith;
+    
+    if ((passphrase === undefined) === (kek === undefined)) {
+      throw new ValidationError('Provide exactly one of passphrase or kek to unwrap the master key', 'unwrapWith', Object.keys(unwrapWith));
+    }
+    
+    const masterKey = passphrase !== undefined
+      ? KeyWrap.unwrapWithPassphrase(envelope, passphrase)
+      : KeyWrap.unwrapWithKek(envelope, kek);
+    
+    return new Decoder(masterKey, options);
+  }
+  
+  /**
+   * Create a Decoder from Shamir shares of the master key
+   * @param {Array<string>} shares - At least threshold shares from SecretSharing.split()
+   * @param {Object} options - Configuration options for the decoder
+   * @returns {Decoder} Decoder using the recombined key, confirmed against the share KCV
+   */
+  static fromShares(shares, options = {}) {
+    return new Decoder(SecretSharing.combine(shares), options);
+  }
 
   /**
    * Decrypt NTAG424 SDM data
+   * 
+   * With timingAttackProtection, failures busy-wait up to minLatency, blocking the
+   * event loop; servers should prefer decryptAsync(). Does not check read counters:
+   * with a replayStore configured it throws, use verify() instead.
    * @param {string|Object} input - NTAG424 data as URL, query string, or object
    * @param {Object} customOptions - Optional override options for this specific operation
    * @returns {Object} Decryption result object
    */
   decrypt(input, customOptions = {}) {
+    this._rejectWithReplayStore('decrypt');
+    
     const startTime = Date.now();
-    const context = ErrorHelper.createContext('decrypt', input, customOptions);
+    const result = this._decrypt(input, customOptions);
+    
+    if (!result.success && this.options.timingAttackProtection) {
+      MemoryManager.constantTimeDelay(Math.max(1, this.options.minLatency - result.performance.duration));
+      result.performance.duration = Date.now() - startTime;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Decrypt NTAG424 SDM data without blocking the event loop
+   * 
+   * With timingAttackProtection, success and failure both resolve no earlier than
+   * minLatency milliseconds after the call, waiting on a timer instead of spinning.
+   * MACs are still compared in constant time. Does not check read counters: with a
+   * replayStore configured it rejects, use verify() instead.
+   * @param {string|Object} input - NTAG424 data as URL, query string, or object
+   * @param {Object} customOptions - Optional override options for this specific operation
+   * @returns {Promise<Object>} Decryption result object
+   */
+  async decryptAsync(input, customOptions = {}) {
+    this._rejectWithReplayStore('decryptAsync');
+    
+    return this._decryptWithLatency(input, customOptions);
+  }
 
+  /**
+   * Decrypt NTAG424 SDM data, resolving no earlier than minLatency with timingAttackProtection
+   * @param {string|Object} input - NTAG424 data as URL, query string, or object
+   * @param {Object} customOptions - Optional override options for this specific operation
+   * @returns {Promise<Object>} Decryption result object
+   */
+  async _decryptWithLatency(input, customOptions) {
+    const startTime = process.hrtime.bigint();
+    const result = this._decrypt(input, customOptions);
+    
+    if (this.options.timingAttackProtection) {
+      const elapsed = Number(process.hrtime.bigint() - startTime) / 1e6;
+      
+      if (elapsed < this.options.minLatency) {
+        await new Promise(resolve => setTimeout(resolve, Math.ceil(this.options.minLatency - elapsed)));
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Throw when a replay store is configured, so replay checks are not silently skipped
+   * @param {string} method - Name of the called method
+   */
+  _rejectWithReplayStore(method) {
+    if (this.replayGuard) {
+      throw new ValidationError(
+        `${method}() does not check read counters; use verify() when a replayStore is configured`,
+        'replayStore',
+        '[store]'
+      );
+    }
+  }
+
+  /**
+   * Decrypt NTAG424 SDM data, without timing attack protection
+   * @param {string|Object} input - NTAG424 data as URL, query string, or object
+   * @param {Object} customOptions - Optional override options for this specific operation
+   * @returns {Object} Decryption result object
+   */
+  _decrypt(input, customOptions) {
+    const startTime = Date.now();
+    const context = ErrorHelper.createContext('decrypt', input, customOptions);
+    
     try {
       const options = { ...this.options, ...customOptions };
       
+      // Per-call overrides may change the method, so the pair is checked on every call
+      const keyDerivationOptions = KeyDerivation.validateOptions(options.keyDerivationMethod, options.keyDerivationOptions, options.sunMode);
+      
       const data = this._parseInput(input, context);
       
       const profile = typeof options.sdmProfile === 'string'
         ? SDMConfig.getProfile(options.sdmProfile)
         : options.sdmProfile;
       
-      SDMConfig.validateOperationWithProfile('decrypt', profile, data);
+      SDMConfig.validateOperationWithProfile(
+        options.sunMode === 'plain' ? 'verifyPlain' : 'decrypt',
+        profile,
+        data
+      );
       
-      const result = this._performSecureDecryption(data, profile, options, context);
+      const result = this._performDecryption(data, profile, options, context);
       
       const duration = Date.now() - startTime;
       
+      result.metadata = { ...result.metadata, keyDerivationMethod: options.keyDerivationMethod, keyDerivationOptions };
+      
       return {
         success: true,
         ...result,
@@ -84,17 +250,15 @@ class Decoder {
         options: {
           keyDerivationMethod: options.keyDerivationMethod,
           sdmProfile: options.sdmProfile,
+          sunMode: options.sunMode,
+          cryptoMode: options.cryptoMode,
+          keyDerivationOptions,
+          keyDiversification: options.keyDiversification || null,
           validateCMAC: options.validateCMAC
         }
       };
-      
+    
     } catch (error) {
-      const duration = Date.now() - startTime;
-      
-      if (this.options.timingAttackProtection) {
-        MemoryManager.constantTimeDelay(Math.max(1, 5 - duration));
-      }
-      
       return {
         success: false,
         error: error.message,
@@ -108,15 +272,319 @@ class Decoder {
     }
   }
 
+  /**
+   * Decrypt NTAG424 SDM data and reject replayed read counters
+   * 
+   * Decrypts like decryptAsync() and, when a replay store is configured and the CMAC is valid,
+   * checks the read counter against the replay policy. Messages with an invalid
+   * CMAC never update the store. Rejections carry the policy rule that fired.
+   * @param {string|Object} input - NTAG424 data as URL, query string, or object
+   * @param {Object} customOptions - Optional override options for this specific operation
+   * @returns {Promise<Object>} Decryption result object, with `replay` when checked
+   */
+  async verify(input, customOptions = {}) {
+    const result = await this._decryptWithLatency(input, customOptions);
+    
+    if (!result.success || !result.cmacValid || !this.replayGuard) {
+      return result;
+    }
+    
+    try {
+      result.replay = await this.replayGuard.check(result.uid, result.readCounter);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        errorCode: error.code,
+        errorType: error.name,
+        details: error.code === 'REPLAY_DETECTED' ? error.details : undefined,
+        context: result.context,
+        performance: result.performance
+      };
+    }
+  }
+
+  /**
+   * Dispatch decryption to the handler for the configured SUN mode
+   * 
+   * Every key of the ring that is valid now is tried, without stopping at the first
+   * match, so the time taken does not reveal which key verified the message. The first
+   * key in ring order with a valid CMAC wins; its keyId is reported with the result.
+   * @param {Object} data - Parsed input data
+   * @param {Object} profile - SDM profile
+   * @param {Object} options - Decryption options
+   * @param {Object} context - Operation context
+   * @returns {Object} Decryption result
+   */
+  _performDecryption(data, profile, options, context) {
+    const sunModes = {
+      'zeroVector': this._performSecureDecryption,
+      'nxp': this._performNxpDecryption,
+      'plain': this._performPlainMirrorVerification
+    };
+    
+    const handler = sunModes[options.sunMode];
+    if (!handler) {
+      throw new DecryptionError(
+        `Unknown SUN mode: ${options.sunMode}`,
+        'sunMode'
+      );
+    }
+    
+    const candidates = this._getActiveKeys(Date.now());
+    if (candidates.length === 0) {
+      throw new DecryptionError(
+        'No key in the key ring is valid at this time',
+        'keyRing',
+        { keyIds: this.keyRing.map(slot => slot.keyId) }
+      );
+    }
+    
+    let verified = null;
+    let unverified = null;
+    let firstError = null;
+    
+    for (const slot of candidates) {
+      try {
+        const outcome = handler.call(this, data, profile, options, context, slot);
+        
+        if (outcome.cmacValid && !verified) {
+          verified = { outcome, slot };
+        } else if (!unverified) {
+          unverified = { outcome, slot };
+        }
+      } catch (error) {
+        if (!firstError) {
+          firstError = error;
+        }
+      }
+    }
+    
+    const selected = verified || unverified;
+    if (!selected) {
+      if (candidates.length === 1) {
+        throw firstError;
+      }
+      
+      throw new DecryptionError(
+        `No key in the key ring decrypted the message: ${firstError.message}`,
+        'keyRing',
+        { keyIds: candidates.map(slot => slot.keyId), originalError: firstError.message }
+      );
+    }
+    
+    const result = selected.outcome;
+    result.keyId = selected.slot.keyId;
+    result.keyVersion = selected.slot.version;
+    result.staleKey = selected.slot !== candidates[0];
+    result.tamper = this._extractTamperStatus(data, result.fileData, profile, options);
+    
+    return result;
+  }
+
+  /**
+   * Get the key ring entries valid at a point in time, in ring order
+   * @param {number} now - Time in milliseconds since the epoch
+   * @returns {Array<Object>} Active key slots
+   */
+  _getActiveKeys(now) {
+    return this.keyRing.filter(slot =>
+      (slot.validFrom === null || now >= slot.validFrom) &&
+      (slot.validUntil === null || now < slot.validUntil)
+    );
+  }
+
+  /**
+   * Normalize the decoder key argument to key ring entries
+   * @param {string|KeyHandle|KeyProvider|Array<Object>} masterKey - Decoder key argument
+   * @param {string|Object|null} kcv - Expected KCV of a single master key
+   * @returns {Array<Object>} Key ring entries
+   */
+  _toKeyRing(masterKey, kcv = null) {
+    if (kcv !== null && (Array.isArray(masterKey) || masterKey instanceof KeyProvider)) {
+      throw new ValidationError('Set kcv on each key ring entry instead of on the decoder', 'kcv', '[key ring]');
+    }
+    
+    if (Array.isArray(masterKey)) {
+      return masterKey;
+    }
+    
+    const handles = masterKey instanceof KeyProvider
+      ? masterKey.listKeys()
+      : (KeyDerivation._isKeyHandle(masterKey) ? [masterKey] : null);
+    
+    if (handles) {
+      return handles.map(handle => ({
+        keyId: handle.keyId,
+        version: handle.version,
+        key: handle,
+        validFrom: handle.validFrom,
+        validUntil: handle.validUntil,
+        kcv
+      }));
+    }
+    
+    return [{ keyId: 'default', version: 1, key: masterKey, kcv }];
+  }
+
+  /**
+   * Create the key slot for one key ring entry
+   * 
+   * Hex keys are copied into secure buffers; provider handles are kept as they are.
+   * @param {Object} entry - Validated key ring entry
+   * @param {string|KeyHandle|null} sdmMetaReadKey - Decoder-wide SDMMetaRead key
+   * @returns {Object} Key slot
+   */
+  _createKeySlot(entry, sdmMetaReadKey) {
+    const masterKey = this._loadKey(entry.key);
+    
+    // SDMMetaRead key decrypts PICCData in NXP mode; defaults to the master key
+    const metaReadKey = entry.sdmMetaReadKey || sdmMetaReadKey;
+    
+    return {
+      keyId: entry.keyId,
+      version: entry.version,
+      validFrom: this._parseKeyTime(entry.validFrom),
+      validUntil: this._parseKeyTime(entry.validUntil),
+      masterKey,
+      metaReadKey: metaReadKey ? this._loadKey(metaReadKey) : masterKey
+    };
+  }
+
+  /**
+   * Copy a hex key into a secure buffer, or keep a provider handle
+   * @param {string|KeyHandle} key - Hex key or key provider handle
+   * @returns {SecureBuffer|KeyHandle} Stored key
+   */
+  _loadKey(key) {
+    if (KeyDerivation._isKeyHandle(key)) {
+      return key;
+    }
+    
+    const keyBuffer = this.memoryManager.createSecureBuffer(16);
+    const decoded = Buffer.from(key, 'hex');
+    decoded.copy(keyBuffer.data);
+    decoded.fill(0);
+    return keyBuffer;
+  }
+
+  /**
+   * Get usable key material from a stored key
+   * @param {SecureBuffer|KeyHandle} key - Stored key
+   * @returns {Buffer|KeyHandle} Key buffer or provider handle
+   */
+  _keyMaterial(key) {
+    return KeyDerivation._isKeyHandle(key) ? key : key.data;
+  }
+
+  /**
+   * Convert a key validity bound to milliseconds
+   * @param {Date|string|number|null} value - Validity bound
+   * @returns {number|null} Milliseconds since the epoch, or null when unbounded
+   */
+  _parseKeyTime(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+  }
+
+  /**
+   * Extract the TagTamper status declared by the profile
+   * 
+   * A plain `tt` mirror is only trusted when it lies inside the SDMMAC input, so
+   * it cannot be rewritten without invalidating the CMAC.
+   * @param {Object} data - Parsed input data
+   * @param {Object|null} fileData - Decrypted file data payload
+   * @param {Object} profile - SDM profile
+   * @param {Object} options - Decryption options
+   * @returns {Object|null} Tamper status with permanent and current state
+   */
+  _extractTamperStatus(data, fileData, profile, options) {
+    if (!profile.includeTamperStatus) {
+      return null;
+    }
+    
+    let tamperStatus;
+    if (profile.tamperStatusSource === 'encFileData') {
+      const offset = profile.tamperStatusOffset;
+      if (!fileData || fileData.buffer.length < offset + 2) {
+        throw new DecryptionError(
+          'Encrypted file data does not contain the tamper status mirror',
+          'tamperStatus',
+          { tamperStatusOffset: offset }
+        );
+      }
+      tamperStatus = fileData.buffer.slice(offset, offset + 2);
+    } else {
+      tamperStatus = data.tamper;
+      
+      if (tamperStatus) {
+        this._checkTamperMirrorCovered(data, options);
+      }
+    }
+    
+    if (!tamperStatus) {
+      throw new DecryptionError(
+        `Profile '${profile.name}' requires a tamper status mirror`,
+        'tamperStatus',
+        { source: profile.tamperStatusSource }
+      );
+    }
+    
+    try {
+      return DataParser.parseTamperStatus(tamperStatus);
+    } catch (error) {
+      throw new DecryptionError(
+        `Tamper status parsing failed: ${error.message}`,
+        'tamperStatus',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Ensure the plain tamper status mirror lies inside the SDMMAC input
+   * @param {Object} data - Parsed input data
+   * @param {Object} options - Decryption options (sdmMacInputOffset or sdmMacInputMarker)
+   */
+  _checkTamperMirrorCovered(data, options) {
+    if (!data.originalUrl) {
+      throw new DecryptionError(
+        'A plain tamper status mirror can only be verified against the original URL',
+        'tamperStatus',
+        { hasOriginalUrl: false }
+      );
+    }
+    
+    const { sdmMacInputOffset = null, sdmMacInputMarker = null } = options;
+    const macInput = DataParser.macInputRange(data.originalUrl, {
+      offset: sdmMacInputOffset,
+      marker: sdmMacInputMarker
+    });
+    const mirror = DataParser.findParamValue(data.originalUrl, ['tt', 'tamper']);
+    
+    if (!mirror || mirror.start < macInput.start || mirror.end > macInput.end) {
+      throw new DecryptionError(
+        'Tamper status mirror is not covered by the CMAC',
+        'tamperStatus',
+        { macInputStart: macInput.start, macInputEnd: macInput.end }
+      );
+    }
+  }
+
   /**
    * Perform the actual decryption process with security measures
    * @param {Object} data - Parsed input data
    * @param {Object} profile - SDM profile
    * @param {Object} options - Decryption options
    * @param {Object} context - Operation context
+   * @param {Object} keySlot - Key ring entry to decrypt with
    * @returns {Object} Decryption result
    */
-  _performSecureDecryption(data, profile, options, context) {
+  _performSecureDecryption(data, profile, options, context, keySlot = this.keyRing[0]) {
     const piccData = this._hexToBuffer(data.picc, 'PICC data');
     const encData = data.enc ? this._hexToBuffer(data.enc, 'ENC data') : null;
     const cmacData = this._hexToBuffer(data.cmac, 'CMAC data');
@@ -126,16 +594,26 @@ class Decoder {
       const zeroUID = Buffer.alloc(7, 0);
       const zeroCounter = Buffer.alloc(3, 0);
       
-      // Derive session keys
-      const sessionKeys = this._deriveKeys(
-        this.masterKeyBuffer.data,
-        zeroUID,
-        zeroCounter,
-        options.keyDerivationMethod
+      // Derive session keys; the inputs never change, so they come from the cache after the first message
+      const derivationOptions = options.keyDerivationOptions || {};
+      const sessionKeys = this.sessionKeyCache.get(
+        keySlot.keyId,
+        `${options.keyDerivationMethod}:${JSON.stringify(derivationOptions, Object.keys(derivationOptions).sort())}`,
+        Buffer.concat([zeroUID, zeroCounter]),
+        () => this._deriveKeys(
+          this._keyMaterial(keySlot.masterKey),
+          zeroUID,
+          zeroCounter,
+          options.keyDerivationMethod,
+          derivationOptions
+        )
       );
       
+      // A single block is raw tag output; two blocks come from older PKCS#7 padded output
+      const padding = piccData.length === 32 ? 'pkcs7' : 'none';
+      
       // Decrypt PICC data
-      const decryptedPicc = AES.cbcDecrypt(sessionKeys.encKey, piccData);
+      const decryptedPicc = AES.cbcDecrypt(sessionKeys.encKey, piccData, null, { padding });
       
       // Extract PICC information
       const piccInfo = this._extractPiccData(decryptedPicc, profile);
@@ -147,48 +625,199 @@ class Decoder {
           'validation',
           { 
             dataTag: piccInfo.dataTag,
-            expectedDataTag: 0xC7,
+            dataTagInfo: piccInfo.dataTagInfo,
             piccLength: decryptedPicc.length
           }
         );
       }
       
+      this._checkDataTagProfile(piccInfo, profile);
+      
       // Decrypt file data if present
-      let decryptedEnc = null;
-      if (encData) {
-        if (!profile.includeFileData) {
+      const decryptedEnc = this._decryptFileData(
+        sessionKeys.encKey,
+        encData,
+        profile,
+        padding === 'pkcs7' ? 'pkcs7' : 'iso9797m2'
+      );
+      
+      // Verify CMAC
+      let cmacValid = true;
+      if (options.validateCMAC) {
+        try {
+          const dataToVerify = Buffer.concat([
+            piccData,
+            encData || Buffer.alloc(0)
+          ]);
+          
+          const calculatedCmac = CMAC.calculate(sessionKeys.macKey, dataToVerify);
+          cmacValid = MemoryManager.timingSafeEqual(
+            calculatedCmac.slice(0, cmacData.length),
+            cmacData
+          );
+        } catch (cmacError) {
           throw new DecryptionError(
-            `Profile '${profile.name}' does not support encrypted file data`,
-            'fileDecryption',
-            { profile: profile.name }
+            `CMAC verification failed: ${cmacError.message}`,
+            'cmacVerification',
+            { originalError: cmacError.message }
           );
         }
-        
+      }
+      
+      return this._buildResult(piccInfo, sessionKeys, decryptedPicc, decryptedEnc, cmacValid, profile);
+    
+    } catch (error) {
+      if (error instanceof DecryptionError) {
+        throw error;
+      }
+      throw new DecryptionError(
+        `Zero vector decryption failed: ${error.message}`,
+        'decryption',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Perform NXP AN12196 SUN verification
+   * 
+   * PICCData is decrypted with the SDMMetaRead key, session keys are derived from
+   * the SDMFileRead (master) key via SV1/SV2 over the decrypted UID and counter,
+   * and the SDMMAC is checked as MACt (odd bytes of the CMAC). With cryptoMode 'lrp'
+   * the same steps use the AN12304 LRP primitives and PICCData carries a PICCRand.
+   * @param {Object} data - Parsed input data
+   * @param {Object} profile - SDM profile
+   * @param {Object} options - Decryption options
+   * @param {Object} context - Operation context
+   * @param {Object} keySlot - Key ring entry to decrypt with
+   * @returns {Object} Decryption result
+   */
+  _performNxpDecryption(data, profile, options, context, keySlot = this.keyRing[0]) {
+    const piccData = this._hexToBuffer(data.picc, 'PICC data');
+    const encData = data.enc ? this._hexToBuffer(data.enc, 'ENC data') : null;
+    const cmacData = this._hexToBuffer(data.cmac, 'CMAC data');
+    
+    try {
+      const { decryptedPicc, piccRand } = this._decryptPiccEncData(piccData, options, keySlot);
+      
+      // SDMReadCtr is mirrored LSB first
+      const piccInfo = this._extractPiccData(decryptedPicc, { ...profile, counterByteOrder: 'LE' });
+      piccInfo.piccRand = piccRand;
+      
+      if (!this._isValidDecryption(decryptedPicc, piccInfo)) {
+        throw new DecryptionError(
+          'Invalid decrypted data structure',
+          'validation',
+          { 
+            dataTag: piccInfo.dataTag,
+            dataTagInfo: piccInfo.dataTagInfo,
+            piccLength: decryptedPicc.length
+          }
+        );
+      }
+      
+      this._checkDataTagProfile(piccInfo, profile);
+      
+      const sessionKeys = this._deriveSdmSessionKeys(piccInfo.uid, piccInfo.readCounter, options, keySlot);
+      
+      const decryptedEnc = this._decryptSdmFileData(sessionKeys, encData, piccInfo.readCounter, profile, options);
+      
+      let cmacValid = true;
+      if (options.validateCMAC) {
         try {
-          decryptedEnc = AES.cbcDecrypt(sessionKeys.encKey, encData);
-        } catch (encDecryptError) {
+          const macInput = this._buildSdmMacInput(data, encData, options);
+          const calculatedMac = this._calculateSdmMac(sessionKeys, macInput, options);
+          cmacValid = MemoryManager.timingSafeEqual(calculatedMac, cmacData);
+        } catch (cmacError) {
           throw new DecryptionError(
-            `File data decryption failed: ${encDecryptError.message}`,
-            'fileDecryption',
-            { originalError: encDecryptError.message }
+            `CMAC verification failed: ${cmacError.message}`,
+            'cmacVerification',
+            { originalError: cmacError.message }
           );
         }
       }
       
-      // Verify CMAC
+      return this._buildResult(piccInfo, sessionKeys, decryptedPicc, decryptedEnc, cmacValid, profile);
+    
+    } catch (error) {
+      if (error instanceof DecryptionError) {
+        throw error;
+      }
+      throw new DecryptionError(
+        `NXP SUN decryption failed: ${error.message}`,
+        'decryption',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Verify a SUN message with plain (ASCII hex) UID and counter mirroring
+   * 
+   * Session keys are derived from the mirrored UID and SDMReadCtr via SV1/SV2 and
+   * the SDMMAC is checked as MACt, as for encrypted PICCData in NXP mode.
+   * @param {Object} data - Parsed input data
+   * @param {Object} profile - SDM profile
+   * @param {Object} options - Decryption options
+   * @param {Object} context - Operation context
+   * @param {Object} keySlot - Key ring entry to decrypt with
+   * @returns {Object} Decryption result
+   */
+  _performPlainMirrorVerification(data, profile, options, context, keySlot = this.keyRing[0]) {
+    const uidHex = data.uid || data.picc;
+    const uid = uidHex ? this._hexToBuffer(uidHex, 'UID') : null;
+    const counter = data.counter ? this._hexToBuffer(data.counter, 'Counter') : null;
+    const encData = data.enc ? this._hexToBuffer(data.enc, 'ENC data') : null;
+    const cmacData = this._hexToBuffer(data.cmac, 'CMAC data');
+    
+    try {
+      if (uid && uid.length !== 7) {
+        throw new DecryptionError(
+          'Mirrored UID must be exactly 7 bytes',
+          'validation',
+          { uidLength: uid.length }
+        );
+      }
+      
+      if (counter && counter.length !== 3) {
+        throw new DecryptionError(
+          'Mirrored counter must be exactly 3 bytes',
+          'validation',
+          { counterLength: counter.length }
+        );
+      }
+      
+      // The counter is mirrored MSB first but enters SV1/SV2 LSB first
+      const counterLE = counter ? Buffer.from(counter).reverse() : null;
+      
+      const piccInfo = {
+        dataTag: null,
+        dataTagInfo: null,
+        uid,
+        readCounter: counterLE,
+        readCounterInt: counter ? counter.readUIntBE(0, 3) : null,
+        padding: null,
+        raw: null
+      };
+      
+      if (!this._isValidPlainMirror(piccInfo)) {
+        throw new DecryptionError(
+          'Invalid plain mirror data',
+          'validation',
+          { hasUID: !!uid, hasCounter: !!counter }
+        );
+      }
+      
+      const sessionKeys = this._deriveSdmSessionKeys(piccInfo.uid, piccInfo.readCounter, options, keySlot);
+      
+      const decryptedEnc = this._decryptSdmFileData(sessionKeys, encData, piccInfo.readCounter, profile, options);
+      
       let cmacValid = true;
       if (options.validateCMAC) {
         try {
-          const dataToVerify = Buffer.concat([
-            piccData,
-            encData || Buffer.alloc(0)
-          ]);
-          
-          const calculatedCmac = CMAC.calculate(sessionKeys.macKey, dataToVerify);
-          cmacValid = MemoryManager.timingSafeEqual(
-            calculatedCmac.slice(0, cmacData.length),
-            cmacData
-          );
+          const macInput = this._buildSdmMacInput(data, encData, options);
+          const calculatedMac = this._calculateSdmMac(sessionKeys, macInput, options);
+          cmacValid = MemoryManager.timingSafeEqual(calculatedMac, cmacData);
         } catch (cmacError) {
           throw new DecryptionError(
             `CMAC verification failed: ${cmacError.message}`,
@@ -198,40 +827,333 @@ class Decoder {
         }
       }
       
-      return {
-        uid: piccInfo.uid ? piccInfo.uid.toString('hex').toUpperCase() : null,
-        readCounter: piccInfo.readCounterInt !== null && piccInfo.readCounterInt !== undefined ? piccInfo.readCounterInt : null,
-        dataTag: piccInfo.dataTag !== null && piccInfo.dataTag !== undefined ? piccInfo.dataTag.toString(16).toUpperCase() : null,
-        encryptedFileData: this._extractFileData(decryptedEnc),
-        cmacValid,
-        sessionKeys: {
-          encKey: sessionKeys.encKey.toString('hex').toUpperCase(),
-          macKey: sessionKeys.macKey.toString('hex').toUpperCase(),
-          derivationMethod: sessionKeys.method
-        },
-        rawDecrypted: {
-          picc: decryptedPicc.toString('hex').toUpperCase(),
-          enc: decryptedEnc ? decryptedEnc.toString('hex').toUpperCase() : null
-        },
-        piccInfo,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          profileUsed: profile.name || 'custom'
-        }
-      };
-      
+      return this._buildResult(piccInfo, sessionKeys, null, decryptedEnc, cmacValid, profile);
+    
     } catch (error) {
       if (error instanceof DecryptionError) {
         throw error;
       }
       throw new DecryptionError(
-        `Zero vector decryption failed: ${error.message}`,
-        'decryption',
+        `Plain mirror verification failed: ${error.message}`,
+        'verification',
         { originalError: error.message }
       );
     }
   }
 
+  /**
+   * Build the decryption result shared by all SUN modes
+   * @param {Object} piccInfo - Extracted PICC information
+   * @param {Object} sessionKeys - Derived session keys
+   * @param {Buffer|null} decryptedPicc - Decrypted PICC data
+   * @param {Buffer|null} decryptedEnc - Decrypted file data
+   * @param {boolean} cmacValid - CMAC validation result
+   * @param {Object} profile - SDM profile
+   * @returns {Object} Decryption result
+   */
+  _buildResult(piccInfo, sessionKeys, decryptedPicc, decryptedEnc, cmacValid, profile) {
+    return {
+      uid: piccInfo.uid ? piccInfo.uid.toString('hex').toUpperCase() : null,
+      readCounter: piccInfo.readCounterInt !== null && piccInfo.readCounterInt !== undefined ? piccInfo.readCounterInt : null,
+      dataTag: piccInfo.dataTag !== null && piccInfo.dataTag !== undefined ? piccInfo.dataTag.toString(16).toUpperCase() : null,
+      encryptedFileData: this._extractFileData(decryptedEnc),
+      fileData: decryptedEnc ? {
+        buffer: decryptedEnc,
+        ascii: decryptedEnc.toString('ascii')
+      } : null,
+      cmacValid,
+      sessionKeys: {
+        encKey: sessionKeys.encKey.toString('hex').toUpperCase(),
+        macKey: sessionKeys.macKey.toString('hex').toUpperCase(),
+        derivationMethod: sessionKeys.method
+      },
+      rawDecrypted: {
+        picc: decryptedPicc ? decryptedPicc.toString('hex').toUpperCase() : null,
+        enc: decryptedEnc ? decryptedEnc.toString('hex').toUpperCase() : null
+      },
+      piccInfo,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        profileUsed: profile.name || 'custom'
+      }
+    };
+  }
+
+  /**
+   * Decrypt PICCENCData with the SDMMetaRead key
+   * 
+   * In AES mode PICCENCData is a single block encrypted with a zero IV. In LRP mode
+   * it is an 8-byte PICCRand followed by one LRICB block using PICCRand as counter.
+   * @param {Buffer} piccData - PICCENCData
+   * @param {Object} options - Decryption options
+   * @param {Object} keySlot - Key ring entry to decrypt with
+   * @returns {Object} Decrypted PICC data and PICCRand (LRP mode only)
+   */
+  _decryptPiccEncData(piccData, options, keySlot) {
+    const metaReadKey = this._keyMaterial(keySlot.metaReadKey);
+    const isHandle = KeyDerivation._isKeyHandle(metaReadKey);
+    
+    if (options.cryptoMode === 'lrp') {
+      if (piccData.length !== 24) {
+        throw new DecryptionError(
+          'PICCENCData must be exactly 24 bytes in LRP mode',
+          'validation',
+          { piccLength: piccData.length }
+        );
+      }
+      
+      const piccRand = piccData.slice(0, 8);
+      const decryptedPicc = isHandle
+        ? metaReadKey.provider.decryptBlock(metaReadKey, piccData.slice(8), { cryptoMode: 'lrp', counter: piccRand })
+        : LRP.lricbDecrypt(metaReadKey, piccData.slice(8), piccRand, { padding: 'none' });
+      
+      return { decryptedPicc, piccRand };
+    }
+    
+    if (piccData.length !== 16) {
+      throw new DecryptionError(
+        'PICCENCData must be exactly 16 bytes in NXP mode',
+        'validation',
+        { piccLength: piccData.length }
+      );
+    }
+    
+    // Single block with zero IV: CBC and ECB are equivalent
+    const decryptedPicc = isHandle
+      ? metaReadKey.provider.decryptBlock(metaReadKey, piccData, { cryptoMode: 'aes' })
+      : AES.ecbDecrypt(metaReadKey, piccData);
+    
+    return { decryptedPicc, piccRand: null };
+  }
+
+  /**
+   * Derive SDM session keys for the configured crypto mode
+   * 
+   * With `keyDiversification` the SDMFileRead key is first diversified per tag
+   * (AN10922) from the master key and the mirrored UID.
+   * @param {Buffer|null} uid - Mirrored UID
+   * @param {Buffer|null} readCounter - Mirrored read counter, LSB first
+   * @param {Object} options - Decryption options
+   * @param {Object} keySlot - Key ring entry holding the SDMFileRead (master) key
+   * @returns {Object} Session keys
+   */
+  _deriveSdmSessionKeys(uid, readCounter, options, keySlot) {
+    const masterKey = this._keyMaterial(keySlot.masterKey);
+    const fileReadKey = options.keyDiversification
+      ? this._diversifyFileReadKey(masterKey, uid, options.keyDiversification)
+      : masterKey;
+    
+    try {
+      if (options.cryptoMode === 'lrp') {
+        return KeyDerivation.sdmSessionKeysLRP(fileReadKey, uid, readCounter);
+      }
+      
+      return KeyDerivation.sdmSessionKeys(fileReadKey, uid, readCounter);
+    } finally {
+      if (fileReadKey !== masterKey) {
+        if (KeyDerivation._isKeyHandle(fileReadKey)) {
+          fileReadKey.provider.releaseKey(fileReadKey);
+        } else {
+          fileReadKey.fill(0);
+        }
+      }
+    }
+  }
+
+  /**
+   * Diversify the SDMFileRead key for one tag (AN10922)
+   * @param {Buffer|KeyHandle} masterKey - Master key to diversify
+   * @param {Buffer|null} uid - Mirrored UID
+   * @param {Object} diversification - Diversification settings (aid, systemIdentifier as hex)
+   * @returns {Buffer|KeyHandle} 16-byte diversified key, or a provider handle
+   */
+  _diversifyFileReadKey(masterKey, uid, diversification) {
+    if (!uid) {
+      throw new DecryptionError(
+        'Key diversification requires a mirrored UID',
+        'keyDiversification',
+        { hasUID: false }
+      );
+    }
+    
+    return KeyDerivation.an10922(
+      masterKey,
+      uid,
+      Buffer.from(diversification.aid || '', 'hex'),
+      Buffer.from(diversification.systemIdentifier || '', 'hex')
+    );
+  }
+
+  /**
+   * Calculate the truncated SDMMAC (MACt) for the configured crypto mode
+   * @param {Object} sessionKeys - SDM session keys
+   * @param {Buffer} macInput - MAC input
+   * @param {Object} options - Decryption options
+   * @returns {Buffer} 8-byte MACt
+   */
+  _calculateSdmMac(sessionKeys, macInput, options) {
+    if (options.cryptoMode === 'lrp') {
+      return CMAC.truncate(LRP.cmac(sessionKeys.sessionKey, macInput, { updatedKeyIndex: sessionKeys.macKeyIndex }));
+    }
+    
+    return CMAC.truncate(CMAC.calculate(sessionKeys.macKey, macInput));
+  }
+
+  /**
+   * Build the SDMMAC input for NXP and plain modes
+   * 
+   * When SDMMACInputOffset differs from SDMMACOffset the tag MACs the URL text between
+   * the two, which is rebuilt from the original URL using `sdmMacInputOffset` or
+   * `sdmMacInputMarker`. Otherwise the MAC covers no data, or with file data the
+   * mirrored ENC hex followed by the CMAC parameter name, as in the AN12196 URL layout.
+   * @param {Object} data - Parsed input data
+   * @param {Buffer|null} encData - Encrypted file data
+   * @param {Object} options - Decryption options
+   * @returns {Buffer} MAC input
+   */
+  _buildSdmMacInput(data, encData, options) {
+    const { sdmMacInputOffset = null, sdmMacInputMarker = null } = options;
+    
+    if (sdmMacInputOffset !== null || sdmMacInputMarker !== null) {
+      if (!data.originalUrl) {
+        throw new DecryptionError(
+          'MAC input offset or marker requires the original URL',
+          'macInput',
+          { hasOriginalUrl: false }
+        );
+      }
+      
+      return DataParser.extractMacInput(data.originalUrl, {
+        offset: sdmMacInputOffset,
+        marker: sdmMacInputMarker
+      });
+    }
+    
+    if (!encData) {
+      return Buffer.alloc(0);
+    }
+    
+    return Buffer.from(`${data.enc.toUpperCase()}&cmac=`, 'ascii');
+  }
+
+  /**
+   * Decrypt encrypted file data when present
+   * @param {Buffer} encKey - Session encryption key
+   * @param {Buffer|null} encData - Encrypted file data
+   * @param {Object} profile - SDM profile
+   * @param {string} padding - Padding scheme of the file data ('iso9797m2' or legacy 'pkcs7')
+   * @returns {Buffer|null} Decrypted file data
+   */
+  _decryptFileData(encKey, encData, profile, padding = 'iso9797m2') {
+    if (!encData) {
+      return null;
+    }
+    
+    if (!profile.includeFileData) {
+      throw new DecryptionError(
+        `Profile '${profile.name}' does not support encrypted file data`,
+        'fileDecryption',
+        { profile: profile.name }
+      );
+    }
+    
+    try {
+      return AES.cbcDecrypt(encKey, encData, null, { padding });
+    } catch (encDecryptError) {
+      throw new DecryptionError(
+        `File data decryption failed: ${encDecryptError.message}`,
+        'fileDecryption',
+        { originalError: encDecryptError.message }
+      );
+    }
+  }
+
+  /**
+   * Decrypt SDMENCFileData as specified by NXP AN12196
+   * 
+   * The IV is AES-ECB(SesSDMFileReadENCKey, SDMReadCtr || zero padding) and the
+   * ciphertext is block aligned without any padding scheme. In LRP mode the data is
+   * LRICB encrypted with SDMReadCtr || 000000 as counter.
+   * @param {Object} sessionKeys - SDM session keys
+   * @param {Buffer|null} encData - Encrypted file data
+   * @param {Buffer|null} readCounter - Read counter as mirrored, LSB first
+   * @param {Object} profile - SDM profile
+   * @param {Object} options - Decryption options
+   * @returns {Buffer|null} Decrypted file data
+   */
+  _decryptSdmFileData(sessionKeys, encData, readCounter, profile, options) {
+    if (!encData) {
+      return null;
+    }
+    
+    if (!profile.includeFileData) {
+      throw new DecryptionError(
+        `Profile '${profile.name}' does not support encrypted file data`,
+        'fileDecryption',
+        { profile: profile.name }
+      );
+    }
+    
+    if (!readCounter) {
+      throw new DecryptionError(
+        'Encrypted file data requires a mirrored read counter',
+        'fileDecryption',
+        { hasCounter: false }
+      );
+    }
+    
+    try {
+      if (options.cryptoMode === 'lrp') {
+        return LRP.lricbDecrypt(
+          sessionKeys.sessionKey,
+          encData,
+          Buffer.concat([readCounter, Buffer.alloc(3, 0x00)]),
+          { padding: 'none', updatedKeyIndex: sessionKeys.encKeyIndex }
+        );
+      }
+      
+      const iv = KeyDerivation.sdmFileDataIV(sessionKeys.encKey, readCounter);
+      return AES.cbcDecrypt(sessionKeys.encKey, encData, iv, { padding: 'none' });
+    } catch (encDecryptError) {
+      throw new DecryptionError(
+        `File data decryption failed: ${encDecryptError.message}`,
+        'fileDecryption',
+        { originalError: encDecryptError.message }
+      );
+    }
+  }
+
+  /**
+   * Check that the PICCDataTag mirror flags and UID length match the configured profile
+   * 
+   * Profiles with a fixed layout read UID and counter from fixed positions, so a tag
+   * that mirrors something else must not be reported as a successful decryption.
+   * @param {Object} piccInfo - Extracted PICC information
+   * @param {Object} profile - SDM profile
+   */
+  _checkDataTagProfile(piccInfo, profile) {
+    if (profile.layoutFromDataTag) {
+      return;
+    }
+    
+    const { uidMirroring, counterMirroring, uidLength } = piccInfo.dataTagInfo;
+    const expectedUidLength = profile.includeUID ? (profile.uidLength || 7) : 0;
+    
+    if (uidMirroring !== !!profile.includeUID ||
+        counterMirroring !== !!profile.includeCounter ||
+        uidLength !== expectedUidLength) {
+      throw new DecryptionError(
+        `PICCDataTag 0x${piccInfo.dataTag.toString(16).toUpperCase()} does not match the SDM profile`,
+        'dataTag',
+        {
+          dataTag: piccInfo.dataTag,
+          expectedDataTag: DataParser.buildPiccDataTag(profile),
+          profile: profile.name
+        }
+      );
+    }
+  }
+
   /**
    * Validate if decrypted data has proper NTAG424 structure
    * @param {Buffer} decryptedPicc - Decrypted PICC data
@@ -240,7 +1162,7 @@ class Decoder {
    */
   _isValidDecryption(decryptedPicc, piccInfo) {
     try {
-      if (piccInfo.dataTag !== 0xC7) {
+      if (!piccInfo.dataTagInfo || !piccInfo.dataTagInfo.isValid) {
         return false;
       }
       
@@ -248,6 +1170,10 @@ class Decoder {
         return false;
       }
       
+      if (piccInfo.uid === null && piccInfo.readCounter === null) {
+        return false;
+      }
+      
       if (piccInfo.uid && piccInfo.uid[0] !== 0x04) {
         return false;
       }
@@ -258,12 +1184,29 @@ class Decoder {
       }
       
       return true;
-      
+    
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Validate plain mirrored UID and counter
+   * @param {Object} piccInfo - Mirrored PICC information
+   * @returns {boolean} True if valid
+   */
+  _isValidPlainMirror(piccInfo) {
+    if (!piccInfo.uid && !piccInfo.readCounter) {
+      return false;
+    }
+    
+    if (piccInfo.uid && piccInfo.uid[0] !== 0x04) {
+      return false;
+    }
+    
+    return true;
+  }
+
   /**
    * Extract file data from decrypted buffer
    * @param {Buffer} decryptedEnc - Decrypted file data
@@ -372,13 +1315,14 @@ class Decoder {
 
   /**
    * Derive session keys using specified method
-   * @param {Buffer} masterKey - Master key
+   * @param {Buffer|KeyHandle} masterKey - Master key buffer or key provider handle
    * @param {Buffer} uid - UID
    * @param {Buffer} readCounter - Read counter
    * @param {string} method - Key derivation method
+   * @param {Object} options - Options for the derivation method
    * @returns {Object} Session keys
    */
-  _deriveKeys(masterKey, uid, readCounter, method) {
+  _deriveKeys(masterKey, uid, readCounter, method, options = {}) {
     const derivationMethods = {
       'ntag424Official': KeyDerivation.ntag424Official,
       'hkdf': KeyDerivation.hkdf,
@@ -394,7 +1338,7 @@ class Decoder {
       );
     }
     
-    const result = derivationFunction(masterKey, uid, readCounter);
+    const result = derivationFunction(masterKey, uid, readCounter, options);
     
     return {
       encKey: Buffer.isBuffer(result.encKey) ? result.encKey : Buffer.from(result.encKey),
@@ -425,10 +1369,88 @@ class Decoder {
     }
   }
 
+  /**
+   * Validate key ring entries
+   * @param {Array<Object>} entries - Key ring entries
+   */
+  _validateKeyRing(entries) {
+    if (entries.length === 0) {
+      throw new ValidationError('Key ring must contain at least one key', 'keyRing', 0, '>=1');
+    }
+    
+    const keyIds = new Set();
+    
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object') {
+        throw new ValidationError('Key ring entries must be objects', 'keyRing', typeof entry);
+      }
+      
+      if (!entry.keyId || typeof entry.keyId !== 'string') {
+        throw new ValidationError('Key ring entry keyId must be a non-empty string', 'keyId', entry.keyId);
+      }
+      
+      if (keyIds.has(entry.keyId)) {
+        throw new ValidationError(`Duplicate keyId in key ring: ${entry.keyId}`, 'keyId', entry.keyId);
+      }
+      keyIds.add(entry.keyId);
+      
+      if (!Number.isInteger(entry.version) || entry.version < 0) {
+        throw new ValidationError(
+          `Key ring entry '${entry.keyId}' version must be a non-negative integer`,
+          'version',
+          entry.version
+        );
+      }
+      
+      if (!KeyDerivation._isKeyHandle(entry.key)) {
+        this._validateMasterKey(entry.key);
+      }
+      
+      if (entry.sdmMetaReadKey && !KeyDerivation._isKeyHandle(entry.sdmMetaReadKey)) {
+        this._validateMasterKey(entry.sdmMetaReadKey);
+      }
+      
+      // A wrong key would otherwise only show up as cmacValid: false on every read
+      if (entry.kcv !== undefined && entry.kcv !== null && !KCV.verify(entry.key, entry.kcv)) {
+        throw new ValidationError(
+          `Key ring entry '${entry.keyId}' does not match its KCV`,
+          'kcv',
+          KCV.normalize(entry.kcv).value
+        );
+      }
+      
+      const validFrom = this._parseKeyTime(entry.validFrom);
+      const validUntil = this._parseKeyTime(entry.validUntil);
+      
+      for (const [field, value] of [['validFrom', validFrom], ['validUntil', validUntil]]) {
+        if (value !== null && Number.isNaN(value)) {
+          throw new ValidationError(`Key ring entry '${entry.keyId}' ${field} is not a valid date`, field, entry[field]);
+        }
+      }
+      
+      if (validFrom !== null && validUntil !== null && validFrom >= validUntil) {
+        throw new ValidationError(
+          `Key ring entry '${entry.keyId}' validFrom must be before validUntil`,
+          'validUntil',
+          entry.validUntil
+        );
+      }
+    }
+  }
+
   /**
    * Validate decoder options
    */
   _validateOptions() {
+    if (typeof this.options.minLatency !== 'number' || !Number.isFinite(this.options.minLatency) || this.options.minLatency < 0) {
+      throw new ValidationError(
+        'minLatency must be a non-negative number of milliseconds',
+        'minLatency',
+        this.options.minLatency,
+        '>=0'
+      );
+    }
+    
     const validMethods = ['ntag424Official', 'hkdf', 'pbkdf2', 'simpleHash'];
     if (!validMethods.includes(this.options.keyDerivationMethod)) {
       throw new ValidationError(
@@ -438,6 +1460,75 @@ class Decoder {
       );
     }
     
+    const validSunModes = ['zeroVector', 'nxp', 'plain'];
+    if (!validSunModes.includes(this.options.sunMode)) {
+      throw new ValidationError(
+        `Invalid SUN mode: ${this.options.sunMode}`,
+        'sunMode',
+        this.options.sunMode
+      );
+    }
+    
+    KeyDerivation.validateOptions(this.options.keyDerivationMethod, this.options.keyDerivationOptions, this.options.sunMode);
+    
+    const validCryptoModes = ['aes', 'lrp'];
+    if (!validCryptoModes.includes(this.options.cryptoMode)) {
+      throw new ValidationError(
+        `Invalid crypto mode: ${this.options.cryptoMode}`,
+        'cryptoMode',
+        this.options.cryptoMode
+      );
+    }
+    
+    if (this.options.cryptoMode === 'lrp' && this.options.sunMode === 'zeroVector') {
+      throw new ValidationError(
+        "LRP crypto mode requires sunMode 'nxp' or 'plain'",
+        'cryptoMode',
+        this.options.cryptoMode
+      );
+    }
+    
+    const { keyDiversification = null } = this.options;
+    
+    if (keyDiversification !== null) {
+      if (this.options.sunMode === 'zeroVector') {
+        throw new ValidationError(
+          "Key diversification requires sunMode 'nxp' or 'plain'",
+          'keyDiversification',
+          this.options.sunMode
+        );
+      }
+      
+      KeyDerivation.validateDiversification(keyDiversification);
+    }
+    
+    const { sdmMacInputOffset = null, sdmMacInputMarker = null } = this.options;
+    
+    if (sdmMacInputOffset !== null && sdmMacInputMarker !== null) {
+      throw new ValidationError(
+        'Specify either sdmMacInputOffset or sdmMacInputMarker, not both',
+        'sdmMacInputOffset',
+        sdmMacInputOffset
+      );
+    }
+    
+    if (sdmMacInputOffset !== null && (!Number.isInteger(sdmMacInputOffset) || sdmMacInputOffset < 0)) {
+      throw new ValidationError(
+        'sdmMacInputOffset must be a non-negative integer',
+        'sdmMacInputOffset',
+        sdmMacInputOffset,
+        '>=0'
+      );
+    }
+    
+    if (sdmMacInputMarker !== null && (typeof sdmMacInputMarker !== 'string' || sdmMacInputMarker.length === 0)) {
+      throw new ValidationError(
+        'sdmMacInputMarker must be a non-empty parameter name',
+        'sdmMacInputMarker',
+        sdmMacInputMarker
+      );
+    }
+    
     if (typeof this.options.sdmProfile === 'string') {
       const validProfiles = SDMConfig.getAvailableProfiles();
       if (!validProfiles.includes(this.options.sdmProfile)) {
@@ -457,6 +1548,36 @@ class Decoder {
         );
       }
     }
+    
+    const profile = typeof this.options.sdmProfile === 'string'
+      ? SDMConfig.getProfile(this.options.sdmProfile)
+      : this.options.sdmProfile;
+    
+    if (profile && profile.includeTamperStatus && profile.tamperStatusSource === 'url') {
+      if (this.options.sunMode === 'zeroVector') {
+        throw new ValidationError(
+          "A plain tamper status mirror requires sunMode 'nxp' or 'plain', where the CMAC can cover the URL",
+          'sdmProfile',
+          profile.name
+        );
+      }
+      
+      if (sdmMacInputOffset === null && sdmMacInputMarker === null) {
+        throw new ValidationError(
+          'A plain tamper status mirror must be covered by the CMAC; set sdmMacInputOffset or sdmMacInputMarker',
+          'sdmMacInputMarker',
+          null
+        );
+      }
+    }
+  }
+
+  /**
+   * Get session key cache statistics; only the zero-vector derivation path is cached
+   * @returns {Object} { size, maxSize, hits, misses, evictions, hitRate }
+   */
+  getSessionKeyCacheStats() {
+    return this.sessionKeyCache.getStats();
   }
 
   /**
@@ -466,6 +1587,10 @@ class Decoder {
     if (this.memoryManager) {
       this.memoryManager.clearAll();
     }
+    
+    if (this.sessionKeyCache) {
+      this.sessionKeyCache.clear();
+    }
   }
 }
 
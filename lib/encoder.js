@@ -4,10 +4,13 @@
  * Provides secure encryption with comprehensive validation and memory management
  */
 
+const crypto = require('crypto');
 const AES = require('./aes');
 const CMAC = require('./cmac');
+const LRP = require('./lrp');
 const KeyDerivation = require('./key-derivation');
 const SDMConfig = require('./sdm-config');
+const DataParser = require('./data-parser');
 const { SecureBuffer, MemoryManager } = require('./secure-memory');
 const { ValidationError, EncryptionError } = require('./error-types');
 
@@ -18,7 +21,7 @@ class Encoder {
   
   /**
    * Encrypt NTAG424 data with comprehensive validation
-   * @param {string} masterKey - Master key as hex string (32 characters)
+   * @param {string|KeyHandle} masterKey - Master key as hex string (32 characters) or a key provider handle
    * @param {string|Buffer} uid - Tag UID (7 bytes as hex string or Buffer)
    * @param {number|Buffer} scanCount - Scan counter (number or 3-byte Buffer)
    * @param {string|Buffer} fileData - Optional file data to encrypt
@@ -31,26 +34,65 @@ class Encoder {
     try {
       const {
         keyDerivationMethod = 'ntag424Official',
-        sdmProfile = fileData ? 'full' : 'uidCounter'
+        keyDerivationOptions = null,
+        sdmProfile = fileData ? 'full' : 'uidCounter',
+        sunMode = 'zeroVector',
+        cryptoMode = 'aes',
+        sdmMetaReadKey = null,
+        keyDiversification = null,
+        tamperStatus = null,
+        sdmMacInputMarker = null
       } = options;
       
       // Validate master key
-      if (!masterKey || typeof masterKey !== 'string' || masterKey.length !== 32) {
+      if (!KeyDerivation._isKeyHandle(masterKey)) {
+        this._validateKey(masterKey, 'masterKey', 'Master key');
+      }
+      
+      if (sdmMetaReadKey && !KeyDerivation._isKeyHandle(sdmMetaReadKey)) {
+        this._validateKey(sdmMetaReadKey, 'sdmMetaReadKey', 'SDMMetaRead key');
+      }
+      
+      const validSunModes = ['zeroVector', 'nxp', 'plain'];
+      if (!validSunModes.includes(sunMode)) {
+        throw new ValidationError(
+          `Invalid SUN mode: ${sunMode}`,
+          'sunMode',
+          sunMode
+        );
+      }
+      
+      const derivationOptions = KeyDerivation.validateOptions(keyDerivationMethod, keyDerivationOptions, sunMode);
+      
+      const validCryptoModes = ['aes', 'lrp'];
+      if (!validCryptoModes.includes(cryptoMode)) {
         throw new ValidationError(
-          'Master key must be a 32-character hex string',
-          'masterKey',
-          masterKey ? `${masterKey.length} characters` : 'null'
+          `Invalid crypto mode: ${cryptoMode}`,
+          'cryptoMode',
+          cryptoMode
         );
       }
       
-      if (!/^[0-9A-Fa-f]+$/.test(masterKey)) {
+      if (cryptoMode === 'lrp' && sunMode !== 'nxp') {
         throw new ValidationError(
-          'Master key contains invalid hex characters',
-          'masterKey',
-          masterKey
+          "LRP crypto mode requires sunMode 'nxp'",
+          'cryptoMode',
+          cryptoMode
         );
       }
       
+      if (keyDiversification !== null) {
+        if (sunMode !== 'nxp') {
+          throw new ValidationError(
+            "Key diversification requires sunMode 'nxp'",
+            'keyDiversification',
+            sunMode
+          );
+        }
+        
+        KeyDerivation.validateDiversification(keyDiversification);
+      }
+      
       // Convert and validate inputs
       const uidBuffer = this._validateAndConvertUID(uid);
       const counterBuffer = this._validateAndConvertCounter(scanCount);
@@ -71,48 +113,111 @@ class Encoder {
         fileData: fileData
       });
       
-      // Create secure master key buffer
-      const masterKeyBuffer = memoryManager.createSecureBuffer(16);
-      Buffer.from(masterKey, 'hex').copy(masterKeyBuffer.data);
+      // Provider handles are used as is; hex keys are copied into secure buffers
+      const masterKeyMaterial = this._loadKey(masterKey, memoryManager);
       
-      // Use zero vectors for key derivation (NTAG424 standard)
-      const zeroUID = Buffer.alloc(7, 0);
-      const zeroCounter = Buffer.alloc(3, 0);
+      // A plain tamper mirror is emitted as `tt` inside the SDMMAC input, which only the nxp mode MACs
+      const mirrorsTamper = !!profile.includeTamperStatus && profile.tamperStatusSource === 'url';
+      let tamperMirror = null;
       
-      // Build PICC data
-      const piccData = this._buildPiccData(uidBuffer, counterBuffer, profile);
-      
-      // Derive session keys
-      const sessionKeys = this._deriveKeys(
-        masterKeyBuffer.data,
-        zeroUID,
-        zeroCounter,
-        keyDerivationMethod
-      );
+      if (mirrorsTamper) {
+        if (sunMode !== 'nxp') {
+          throw new ValidationError(
+            "Profiles with a plain tamper status mirror require sunMode 'nxp'",
+            'sdmProfile',
+            profile.name
+          );
+        }
+        
+        if (tamperStatus === null) {
+          throw new ValidationError(
+            `Profile '${profile.name}' requires a tamperStatus such as 'CC'`,
+            'tamperStatus',
+            null
+          );
+        }
+        
+        tamperMirror = DataParser.parseTamperStatus(tamperStatus).raw;
+      } else if (tamperStatus !== null) {
+        throw new ValidationError(
+          `Profile '${profile.name}' does not mirror a plain tamper status`,
+          'tamperStatus',
+          tamperStatus
+        );
+      }
       
-      // Encrypt PICC data
-      const encryptedPicc = AES.cbcEncrypt(sessionKeys.encKey, piccData);
+      if (fileData && !profile.includeFileData) {
+        throw new ValidationError(
+          `Profile '${profile.name}' does not support file data encryption. Use 'full' profile instead.`,
+          'sdmProfile',
+          profile.name
+        );
+      }
       
-      // Handle file data encryption
-      let encryptedFile = null;
-      let cmacData = encryptedPicc;
+      if (sdmMacInputMarker !== null && sunMode !== 'plain') {
+        throw new ValidationError(
+          "sdmMacInputMarker is only supported with sunMode 'plain'",
+          'sdmMacInputMarker',
+          sunMode
+        );
+      }
       
-      if (fileData) {
-        if (!profile.includeFileData) {
+      let encrypted;
+      if (sunMode === 'plain') {
+        if (fileData) {
           throw new ValidationError(
-            `Profile '${profile.name}' does not support file data encryption. Use 'full' profile instead.`,
-            'sdmProfile',
-            profile.name
+            "sunMode 'plain' mirrors UID and counter only and does not encrypt file data",
+            'fileData',
+            typeof fileData
           );
         }
         
-        const fileBuffer = this._prepareFileData(fileData);
-        encryptedFile = AES.cbcEncrypt(sessionKeys.encKey, fileBuffer);
-        cmacData = Buffer.concat([encryptedPicc, encryptedFile]);
+        encrypted = this._mirrorPlain(masterKeyMaterial, uidBuffer, counterBuffer, profile, sdmMacInputMarker);
+      } else if (sunMode === 'nxp') {
+        // SDMMetaRead key encrypts PICCData; defaults to the master key
+        const metaReadKey = sdmMetaReadKey ? this._loadKey(sdmMetaReadKey, memoryManager) : masterKeyMaterial;
+        
+        // Per-tag SDMFileRead key diversified from the master key (AN10922)
+        let fileReadKey = masterKeyMaterial;
+        if (keyDiversification) {
+          const { aid = '', systemIdentifier = '' } = keyDiversification;
+          fileReadKey = KeyDerivation.an10922(
+            masterKeyMaterial,
+            uidBuffer,
+            Buffer.from(aid, 'hex'),
+            Buffer.from(systemIdentifier, 'hex')
+          );
+        }
+        
+        try {
+          encrypted = this._encryptNxp(
+            fileReadKey,
+            metaReadKey,
+            uidBuffer,
+            counterBuffer,
+            fileData,
+            profile,
+            cryptoMode,
+            tamperMirror
+          );
+        } finally {
+          if (fileReadKey !== masterKeyMaterial) {
+            this._releaseKey(fileReadKey);
+          }
+        }
+      } else {
+        encrypted = this._encryptZeroVector(
+          masterKeyMaterial,
+          uidBuffer,
+          counterBuffer,
+          fileData,
+          profile,
+          keyDerivationMethod,
+          derivationOptions
+        );
       }
       
-      // Calculate CMAC
-      const cmac = CMAC.calculate(sessionKeys.macKey, cmacData).slice(0, 8);
+      const { encryptedPicc, encryptedFile, cmac, mirror } = encrypted;
       
       // Build result
       const result = {
@@ -121,16 +226,24 @@ class Encoder {
           scanCount: this._counterToNumber(counterBuffer),
           masterKey: '[REDACTED]',
           keyDerivationMethod,
-          sdmProfile: profile.name || 'custom'
+          sdmProfile: profile.name || 'custom',
+          sunMode,
+          cryptoMode,
+          keyDiversification
         },
-        encryptedData: {
+        encryptedData: mirror ? {
+          ...mirror,
+          cmac: cmac.toString('hex').toUpperCase()
+        } : {
           picc: encryptedPicc.toString('hex').toUpperCase(),
           cmac: cmac.toString('hex').toUpperCase()
         },
         metadata: {
           timestamp: new Date().toISOString(),
           profileUsed: profile.name || 'custom',
-          hasFileData: !!fileData
+          hasFileData: !!fileData,
+          keyDerivationMethod,
+          keyDerivationOptions: derivationOptions
         }
       };
       
@@ -139,6 +252,11 @@ class Encoder {
         result.encryptedData.enc = encryptedFile.toString('hex').toUpperCase();
       }
       
+      if (tamperMirror) {
+        result.originalData.tamperStatus = tamperMirror;
+        result.encryptedData.tt = tamperMirror;
+      }
+      
       return result;
       
     } catch (error) {
@@ -155,6 +273,203 @@ class Encoder {
     }
   }
   
+  /**
+   * Encrypt with zero-vector session keys and CMAC over the ciphertext
+   * @param {Buffer|KeyHandle} masterKey - Master key buffer or key provider handle
+   * @param {Buffer} uid - UID buffer
+   * @param {Buffer} counter - Counter buffer
+   * @param {string|Buffer|null} fileData - Optional file data
+   * @param {Object} profile - SDM profile
+   * @param {string} keyDerivationMethod - Key derivation method
+   * @param {Object} keyDerivationOptions - Options for the derivation method
+   * @returns {Object} Encrypted PICC data, encrypted file data and CMAC
+   */
+  static _encryptZeroVector(masterKey, uid, counter, fileData, profile, keyDerivationMethod, keyDerivationOptions) {
+    // Use zero vectors for key derivation (NTAG424 standard)
+    const zeroUID = Buffer.alloc(7, 0);
+    const zeroCounter = Buffer.alloc(3, 0);
+    
+    // Build PICC data
+    const piccData = this._buildPiccData(uid, counter, profile);
+    
+    // Derive session keys
+    const sessionKeys = this._deriveKeys(
+      masterKey,
+      zeroUID,
+      zeroCounter,
+      keyDerivationMethod,
+      keyDerivationOptions
+    );
+    
+    // Encrypt PICC data as raw blocks, a 16-byte PICCData stays one block as on the tag
+    const encryptedPicc = AES.cbcEncrypt(sessionKeys.encKey, piccData, null, { padding: 'zero' });
+    
+    // Handle file data encryption
+    let encryptedFile = null;
+    let cmacData = encryptedPicc;
+    
+    if (fileData) {
+      // ISO/IEC 9797-1 method 2 keeps trailing zero bytes of binary payloads
+      const fileBuffer = this._toFileBytes(fileData);
+      encryptedFile = AES.cbcEncrypt(sessionKeys.encKey, fileBuffer, null, { padding: 'iso9797m2' });
+      cmacData = Buffer.concat([encryptedPicc, encryptedFile]);
+    }
+    
+    // Calculate CMAC
+    const cmac = CMAC.calculate(sessionKeys.macKey, cmacData).slice(0, 8);
+    
+    return { encryptedPicc, encryptedFile, cmac };
+  }
+  
+  /**
+   * Encrypt a SUN message as specified by NXP AN12196
+   * 
+   * PICCData is encrypted with the SDMMetaRead key, session keys come from the
+   * master (SDMFileRead) key via SV1/SV2, file data uses the counter-derived IV
+   * and the SDMMAC is the MACt over the mirrored ENC hex and CMAC parameter name.
+   * In LRP mode the AN12304 primitives are used and PICCData is prefixed with an
+   * 8-byte PICCRand that serves as the LRICB counter.
+   * @param {Buffer|KeyHandle} fileReadKey - SDMFileRead (master) key buffer or key provider handle
+   * @param {Buffer|KeyHandle} metaReadKey - SDMMetaRead key buffer or key provider handle
+   * @param {Buffer} uid - UID buffer
+   * @param {Buffer} counter - Counter buffer (MSB first)
+   * @param {string|Buffer|null} fileData - Optional file data
+   * @param {Object} profile - SDM profile
+   * @param {string} cryptoMode - 'aes' or 'lrp'
+   * @param {string|null} tamperMirror - Plain tamper status mirrored as `tt` before the CMAC
+   * @returns {Object} Encrypted PICC data, encrypted file data and CMAC
+   */
+  static _encryptNxp(fileReadKey, metaReadKey, uid, counter, fileData, profile, cryptoMode = 'aes', tamperMirror = null) {
+    const useLRP = cryptoMode === 'lrp';
+    
+    // SDMReadCtr is mirrored LSB first
+    const counterLE = Buffer.from(counter).reverse();
+    
+    const piccData = this._buildPiccData(uid, counterLE, profile, true);
+    
+    let encryptedPicc;
+    if (KeyDerivation._isKeyHandle(metaReadKey)) {
+      const piccRand = useLRP ? crypto.randomBytes(8) : null;
+      const encryptedBlock = metaReadKey.provider.encryptBlock(metaReadKey, piccData, { cryptoMode, counter: piccRand });
+      encryptedPicc = useLRP ? Buffer.concat([piccRand, encryptedBlock]) : encryptedBlock;
+    } else if (useLRP) {
+      const piccRand = crypto.randomBytes(8);
+      encryptedPicc = Buffer.concat([
+        piccRand,
+        LRP.lricbEncrypt(metaReadKey, piccData, piccRand, { padding: 'none' })
+      ]);
+    } else {
+      encryptedPicc = AES.ecbEncrypt(metaReadKey, piccData);
+    }
+    
+    const deriveSessionKeys = useLRP ? KeyDerivation.sdmSessionKeysLRP : KeyDerivation.sdmSessionKeys;
+    const sessionKeys = deriveSessionKeys(
+      fileReadKey,
+      profile.includeUID ? uid : null,
+      profile.includeCounter ? counterLE : null
+    );
+    
+    let encryptedFile = null;
+    let macInput = Buffer.alloc(0);
+    
+    if (fileData) {
+      if (!profile.includeCounter) {
+        throw new EncryptionError(
+          'Encrypted file data requires a mirrored read counter',
+          'encryptNxp',
+          { profile: profile.name }
+        );
+      }
+      
+      const fileBuffer = this._prepareFileData(fileData);
+      
+      if (useLRP) {
+        encryptedFile = LRP.lricbEncrypt(
+          sessionKeys.sessionKey,
+          fileBuffer,
+          Buffer.concat([counterLE, Buffer.alloc(3, 0x00)]),
+          { padding: 'none', updatedKeyIndex: sessionKeys.encKeyIndex }
+        );
+      } else {
+        const iv = KeyDerivation.sdmFileDataIV(sessionKeys.encKey, counterLE);
+        encryptedFile = AES.cbcEncrypt(sessionKeys.encKey, fileBuffer, iv, { padding: 'none' });
+      }
+      
+      macInput = Buffer.from(`${encryptedFile.toString('hex').toUpperCase()}&cmac=`, 'ascii');
+    }
+    
+    // The MAC input then starts at the ENC value (marker 'enc') or else at the tt value (marker 'tt')
+    if (tamperMirror) {
+      macInput = Buffer.from(
+        encryptedFile
+          ? `${encryptedFile.toString('hex').toUpperCase()}&tt=${tamperMirror}&cmac=`
+          : `${tamperMirror}&cmac=`,
+        'ascii'
+      );
+    }
+    
+    const fullMac = useLRP
+      ? LRP.cmac(sessionKeys.sessionKey, macInput, { updatedKeyIndex: sessionKeys.macKeyIndex })
+      : CMAC.calculate(sessionKeys.macKey, macInput);
+    const cmac = CMAC.truncate(fullMac);
+    
+    return { encryptedPicc, encryptedFile, cmac };
+  }
+  
+  /**
+   * Build a plain UID/counter mirror and its MACt
+   * 
+   * Session keys come from the master (SDMFileRead) key and the mirrored UID and
+   * counter via SV1/SV2. The MAC input is empty, or with a marker the query text from
+   * that parameter's value up to the CMAC value, as generateURL() lays it out.
+   * @param {Buffer|KeyHandle} fileReadKey - SDMFileRead (master) key buffer or key provider handle
+   * @param {Buffer} uid - UID buffer
+   * @param {Buffer} counter - Counter buffer (MSB first, as mirrored)
+   * @param {Object} profile - SDM profile
+   * @param {string|null} macInputMarker - Parameter whose value starts the MAC input ('uid' or 'ctr')
+   * @returns {Object} Mirrored uid and counter hex and CMAC
+   */
+  static _mirrorPlain(fileReadKey, uid, counter, profile, macInputMarker = null) {
+    const mirror = {};
+    
+    if (profile.includeUID) {
+      mirror.uid = uid.toString('hex').toUpperCase();
+    }
+    
+    if (profile.includeCounter) {
+      mirror.counter = counter.toString('hex').toUpperCase();
+    }
+    
+    let macInput = Buffer.alloc(0);
+    
+    if (macInputMarker !== null) {
+      const fields = [['uid', mirror.uid], ['ctr', mirror.counter]].filter(([, value]) => value !== undefined);
+      const start = fields.findIndex(([name]) => name === macInputMarker);
+      
+      if (start === -1) {
+        throw new ValidationError(
+          'sdmMacInputMarker must name a mirrored parameter (uid or ctr)',
+          'sdmMacInputMarker',
+          macInputMarker
+        );
+      }
+      
+      const text = fields.slice(start).map(([name, value]) => `${name}=${value}`).join('&');
+      macInput = Buffer.from(`${text.slice(macInputMarker.length + 1)}&cmac=`, 'ascii');
+    }
+    
+    // SDMReadCtr enters SV1/SV2 LSB first
+    const sessionKeys = KeyDerivation.sdmSessionKeys(
+      fileReadKey,
+      profile.includeUID ? uid : null,
+      profile.includeCounter ? Buffer.from(counter).reverse() : null
+    );
+    
+    const cmac = CMAC.truncate(CMAC.calculate(sessionKeys.macKey, macInput));
+    
+    return { mirror, cmac };
+  }
+  
   /**
    * Generate URL format from encrypted data
    * @param {Object} encryptedData - Result from encrypt() method
@@ -171,14 +486,18 @@ class Encoder {
         );
       }
       
-      const params = new URLSearchParams();
-      params.set('picc_data', encryptedData.encryptedData.picc);
-      params.set('cmac', encryptedData.encryptedData.cmac);
+      const params = this._mirrorParams(encryptedData.encryptedData);
       
       if (encryptedData.encryptedData.enc) {
         params.set('enc', encryptedData.encryptedData.enc);
       }
       
+      if (encryptedData.encryptedData.tt) {
+        params.set('tt', encryptedData.encryptedData.tt);
+      }
+      
+      params.set('cmac', encryptedData.encryptedData.cmac);
+      
       return `${baseURL}?${params.toString()}`;
     } catch (error) {
       throw new EncryptionError(
@@ -204,14 +523,18 @@ class Encoder {
         );
       }
       
-      const params = new URLSearchParams();
-      params.set('picc_data', encryptedData.encryptedData.picc);
-      params.set('cmac', encryptedData.encryptedData.cmac);
+      const params = this._mirrorParams(encryptedData.encryptedData);
       
       if (encryptedData.encryptedData.enc) {
         params.set('enc', encryptedData.encryptedData.enc);
       }
       
+      if (encryptedData.encryptedData.tt) {
+        params.set('tt', encryptedData.encryptedData.tt);
+      }
+      
+      params.set('cmac', encryptedData.encryptedData.cmac);
+      
       return params.toString();
     } catch (error) {
       throw new EncryptionError(
@@ -221,6 +544,28 @@ class Encoder {
     }
   }
   
+  /**
+   * Start the URL parameters with the PICCData, or with the plain UID and counter mirror
+   * @param {Object} encryptedData - encryptedData of an encrypt() result
+   * @returns {URLSearchParams} Parameters
+   */
+  static _mirrorParams(encryptedData) {
+    const params = new URLSearchParams();
+    
+    if (encryptedData.picc) {
+      params.set('picc_data', encryptedData.picc);
+    } else {
+      if (encryptedData.uid) {
+        params.set('uid', encryptedData.uid);
+      }
+      if (encryptedData.counter) {
+        params.set('ctr', encryptedData.counter);
+      }
+    }
+    
+    return params;
+  }
+  
   /**
    * Generate secure master key
    * @param {Object} options - Generation options
@@ -228,7 +573,6 @@ class Encoder {
    */
   static generateMasterKey(options = {}) {
     try {
-      const crypto = require('crypto');
       const keyBytes = crypto.randomBytes(16);
       const hexKey = keyBytes.toString('hex').toUpperCase();
       
@@ -248,6 +592,60 @@ class Encoder {
     }
   }
   
+  /**
+   * Load a key argument for use by the crypto helpers
+   * @param {string|KeyHandle} key - Hex key or key provider handle
+   * @param {MemoryManager} memoryManager - Memory manager owning the secure copy
+   * @returns {Buffer|KeyHandle} Key buffer, or the handle unchanged
+   */
+  static _loadKey(key, memoryManager) {
+    if (KeyDerivation._isKeyHandle(key)) {
+      return key;
+    }
+    
+    const keyBuffer = memoryManager.createSecureBuffer(16);
+    const decoded = Buffer.from(key, 'hex');
+    decoded.copy(keyBuffer.data);
+    decoded.fill(0);
+    return keyBuffer.data;
+  }
+  
+  /**
+   * Clear a temporary key such as a diversified key
+   * @param {Buffer|KeyHandle} key - Key buffer or key provider handle
+   */
+  static _releaseKey(key) {
+    if (KeyDerivation._isKeyHandle(key)) {
+      key.provider.releaseKey(key);
+    } else {
+      key.fill(0);
+    }
+  }
+  
+  /**
+   * Validate a key given as hex string
+   * @param {string} key - Key to validate
+   * @param {string} field - Field name for error details
+   * @param {string} label - Key name for error messages
+   */
+  static _validateKey(key, field, label) {
+    if (!key || typeof key !== 'string' || key.length !== 32) {
+      throw new ValidationError(
+        `${label} must be a 32-character hex string`,
+        field,
+        key ? `${key.length} characters` : 'null'
+      );
+    }
+    
+    if (!/^[0-9A-Fa-f]+$/.test(key)) {
+      throw new ValidationError(
+        `${label} contains invalid hex characters`,
+        field,
+        key
+      );
+    }
+  }
+  
   /**
    * Validate and convert UID to Buffer
    * @param {string|Buffer} uid - UID to validate
@@ -332,32 +730,42 @@ class Encoder {
   }
   
   /**
-   * Prepare file data for encryption
+   * Convert file data to bytes
+   * @param {string|Buffer} fileData - File data (strings are UTF-8 encoded)
+   * @returns {Buffer} File data bytes
+   */
+  static _toFileBytes(fileData) {
+    if (Buffer.isBuffer(fileData)) {
+      return fileData;
+    }
+    
+    if (typeof fileData === 'string') {
+      return Buffer.from(fileData, 'utf8');
+    }
+    
+    throw new ValidationError(
+      'File data must be a string or Buffer',
+      'fileData',
+      typeof fileData
+    );
+  }
+  
+  /**
+   * Zero-pad file data to whole blocks, as the fixed-size file of a tag in nxp mode
    * @param {string|Buffer} fileData - File data to prepare
    * @returns {Buffer} Prepared file data buffer
    */
   static _prepareFileData(fileData) {
-    if (Buffer.isBuffer(fileData)) {
-      const paddedLength = Math.ceil(fileData.length / 16) * 16;
-      if (fileData.length === paddedLength) {
-        return fileData;
-      }
-      const paddedBuffer = Buffer.alloc(paddedLength, 0x00);
-      fileData.copy(paddedBuffer, 0);
-      return paddedBuffer;
-    } else if (typeof fileData === 'string') {
-      const dataBytes = Buffer.from(fileData, 'utf8');
-      const paddedLength = Math.ceil(dataBytes.length / 16) * 16;
-      const fileBuffer = Buffer.alloc(paddedLength, 0x00);
-      dataBytes.copy(fileBuffer, 0);
-      return fileBuffer;
-    } else {
-      throw new ValidationError(
-        'File data must be a string or Buffer',
-        'fileData',
-        typeof fileData
-      );
+    const dataBytes = this._toFileBytes(fileData);
+    const paddedLength = Math.ceil(dataBytes.length / 16) * 16;
+    
+    if (dataBytes.length === paddedLength) {
+      return dataBytes;
     }
+    
+    const fileBuffer = Buffer.alloc(paddedLength, 0x00);
+    dataBytes.copy(fileBuffer, 0);
+    return fileBuffer;
   }
   
   /**
@@ -365,14 +773,15 @@ class Encoder {
    * @param {Buffer} uid - UID buffer
    * @param {Buffer} counter - Counter buffer
    * @param {Object} profile - SDM profile
+   * @param {boolean} randomPadding - Fill bytes after the mirrored data with random padding
    * @returns {Buffer} PICC data buffer
    */
-  static _buildPiccData(uid, counter, profile) {
+  static _buildPiccData(uid, counter, profile, randomPadding = false) {
     try {
       const piccData = Buffer.alloc(profile.piccDataLength || 16, 0x00);
       
-      // Set data tag
-      piccData[0] = 0xC7;
+      // Set data tag from the mirrored fields
+      piccData[0] = DataParser.buildPiccDataTag(profile);
       
       // Copy UID if included
       if (profile.includeUID && uid) {
@@ -406,6 +815,15 @@ class Encoder {
         counter.copy(piccData, counterStart, 0, counterLen);
       }
       
+      if (randomPadding) {
+        const dataEnd = Math.max(
+          1,
+          profile.includeUID ? (profile.uidOffset || 1) + (profile.uidLength || 7) : 0,
+          profile.includeCounter ? (profile.counterOffset || 8) + (profile.counterLength || 3) : 0
+        );
+        crypto.randomFillSync(piccData, dataEnd);
+      }
+      
       return piccData;
     } catch (error) {
       throw new EncryptionError(
@@ -417,13 +835,14 @@ class Encoder {
   
   /**
    * Derive session keys using specified method
-   * @param {Buffer} masterKey - Master key buffer
+   * @param {Buffer|KeyHandle} masterKey - Master key buffer or key provider handle
    * @param {Buffer} uid - UID buffer
    * @param {Buffer} counter - Counter buffer
    * @param {string} method - Key derivation method
+   * @param {Object} options - Options for the derivation method
    * @returns {Object} Session keys
    */
-  static _deriveKeys(masterKey, uid, counter, method) {
+  static _deriveKeys(masterKey, uid, counter, method, options = {}) {
     const derivationMethods = {
       'ntag424Official': KeyDerivation.ntag424Official,
       'hkdf': KeyDerivation.hkdf,
@@ -439,7 +858,7 @@ class Encoder {
       );
     }
     
-    const result = derivationFunction(masterKey, uid, counter);
+    const result = derivationFunction(masterKey, uid, counter, options);
     
     return {
       encKey: Buffer.isBuffer(result.encKey) ? result.encKey : Buffer.from(result.encKey),
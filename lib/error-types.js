@@ -108,6 +108,21 @@ class SecurityError extends NTAG424Error {
   }
 }
 
+/**
+ * Replay Error - thrown when a read counter does not advance for a UID
+ */
+class ReplayError extends NTAG424Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} uid - Tag UID (hex)
+   * @param {Object} context - Additional context (counter, lastCounter)
+   */
+  constructor(message, uid, context = {}) {
+    super(message, 'REPLAY_DETECTED', { uid, ...context });
+    this.name = 'ReplayError';
+  }
+}
+
 /**
  * Error Helper Functions
  */
@@ -157,5 +172,6 @@ module.exports = {
   EncryptionError,
   SDMProfileError,
   SecurityError,
+  ReplayError,
   ErrorHelper
 };
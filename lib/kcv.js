@@ -0,0 +1,136 @@
+/**
+ * Key Check Values
+ *
+ * A key check value (KCV) identifies a key without revealing it, so keys can be compared
+ * across provisioning stations, backends and partners. Two methods are supported:
+ * 'aes' encrypts a zero block with AES-ECB, and 'cmac' takes the AES-CMAC of a zero block
+ * (the AES method of ANSI X9.24-1:2017). Both are truncated, to 3 bytes by default.
+ */
+
+const AES = require('./aes');
+const CMAC = require('./cmac');
+const KeyDerivation = require('./key-derivation');
+const { MemoryManager } = require('./secure-memory');
+const { ValidationError, SecurityError } = require('./error-types');
+
+const KCV_METHODS = ['aes', 'cmac'];
+const ZERO_BLOCK = Buffer.alloc(16, 0x00);
+
+/**
+ * Key Check Value Operations
+ */
+class KCV {
+
+  /**
+   * Calculate the KCV of a key
+   * @param {string|Buffer|KeyHandle} key - Key as hex string, 16-byte Buffer or key provider handle
+   * @param {Object} options - Optional configuration (method: 'aes' or 'cmac', length in bytes 3-16)
+   * @returns {string} KCV as uppercase hex
+   */
+  static calculate(key, options = {}) {
+    const { method = 'aes', length = 3 } = options;
+    
+    this._validateMethod(method);
+    
+    if (!Number.isInteger(length) || length < 3 || length > 16) {
+      throw new ValidationError('KCV length must be an integer from 3 to 16 bytes', 'length', length, '3-16');
+    }
+    
+    try {
+      return this._compute(key, method).slice(0, length).toString('hex').toUpperCase();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`KCV calculation failed: ${error.message}`, 'KCV_CALCULATION_FAILURE');
+    }
+  }
+
+  /**
+   * Check a key against an expected KCV
+   *
+   * The comparison covers as many bytes as the expected value has, so a 3-byte KCV and
+   * a 5-byte X9.24 KCV can both be checked against the same key.
+   * @param {string|Buffer|KeyHandle} key - Key as hex string, 16-byte Buffer or key provider handle
+   * @param {string|Object} expected - Hex KCV ('aes' method) or { value, method }
+   * @returns {boolean} True if the key matches
+   */
+  static verify(key, expected) {
+    const { value, method } = this.normalize(expected);
+    const computed = this._compute(key, method).slice(0, value.length / 2);
+    
+    return MemoryManager.timingSafeEqual(computed, Buffer.from(value, 'hex'));
+  }
+
+  /**
+   * Normalize an expected KCV to { value, method }
+   * @param {string|Object} expected - Hex KCV ('aes' method) or { value, method }
+   * @returns {Object} Uppercase hex value and method
+   */
+  static normalize(expected) {
+    const { value, method = 'aes' } = typeof expected === 'string' ? { value: expected } : (expected || {});
+    
+    this._validateMethod(method);
+    
+    if (typeof value !== 'string' || !/^([0-9A-Fa-f]{2}){3,16}$/.test(value)) {
+      throw new ValidationError('KCV must be 6 to 32 hex characters', 'kcv', value, 'hex string');
+    }
+    
+    return { value: value.toUpperCase(), method };
+  }
+
+  /**
+   * Encrypt or MAC the zero block with a key
+   * @param {string|Buffer|KeyHandle} key - Key
+   * @param {string} method - 'aes' or 'cmac'
+   * @returns {Buffer} 16-byte check block
+   */
+  static _compute(key, method) {
+    if (KeyDerivation._isKeyHandle(key)) {
+      return method === 'cmac'
+        ? key.provider.cmac(key, ZERO_BLOCK)
+        : key.provider.encryptBlock(key, ZERO_BLOCK, { cryptoMode: 'aes' });
+    }
+    
+    const keyBuffer = this._toKeyBuffer(key);
+    
+    try {
+      return method === 'cmac'
+        ? CMAC.calculate(keyBuffer, ZERO_BLOCK)
+        : AES.ecbEncrypt(keyBuffer, ZERO_BLOCK);
+    } finally {
+      if (keyBuffer !== key) {
+        keyBuffer.fill(0);
+      }
+    }
+  }
+
+  /**
+   * Convert a key argument to a Buffer
+   * @param {string|Buffer} key - Key as hex string or Buffer
+   * @returns {Buffer} Key buffer (the argument itself if it is a Buffer)
+   */
+  static _toKeyBuffer(key) {
+    if (Buffer.isBuffer(key) && key.length === 16) {
+      return key;
+    }
+    
+    if (typeof key === 'string' && /^[0-9A-Fa-f]{32}$/.test(key)) {
+      return Buffer.from(key, 'hex');
+    }
+    
+    throw new ValidationError('Key must be a 32-character hex string, 16-byte Buffer or key handle', 'key', '[REDACTED]');
+  }
+
+  /**
+   * Validate a KCV method
+   * @param {string} method - Method name
+   */
+  static _validateMethod(method) {
+    if (!KCV_METHODS.includes(method)) {
+      throw new ValidationError(`KCV method must be one of: ${KCV_METHODS.join(', ')}`, 'method', method, KCV_METHODS);
+    }
+  }
+}
+
+module.exports = KCV;
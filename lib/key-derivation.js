@@ -8,13 +8,20 @@
 const crypto = require('crypto');
 const { ValidationError, SecurityError } = require('./error-types');
 
-let aesCmac;
-try {
-  const { aesCmac: importedAesCmac } = require('node-aes-cmac');
-  aesCmac = importedAesCmac;
-} catch (error) {
-  throw new Error('node-aes-cmac is required for production use. Install with: npm install node-aes-cmac');
-}
+const CMAC = require('./cmac');
+
+// Options each derivation method accepts through keyDerivationOptions; key lengths are
+// fixed because the session keys are AES-128 keys
+const DERIVATION_OPTIONS = {
+  ntag424Official: ['useCMAC', 'svLength', 'encLabel', 'macLabel'],
+  hkdf: ['algorithm', 'salt', 'info'],
+  pbkdf2: ['iterations', 'algorithm', 'saltPrefix'],
+  simpleHash: ['algorithm']
+};
+
+// Digests of the HMAC-based methods (hkdf, pbkdf2); crypto.getHashes() also lists
+// signature names such as RSA-SHA256 that are not meant for key derivation
+const HMAC_DIGESTS = ['sha256', 'sha384', 'sha512', 'sha1'];
 
 /**
  * Key Derivation Methods
@@ -23,7 +30,7 @@ class KeyDerivation {
   
   /**
    * NTAG424 Official CMAC-based Key Derivation
-   * @param {Buffer} masterKey - The master key (16 bytes)
+   * @param {Buffer|KeyHandle} masterKey - The master key (16 bytes) or a provider key handle
    * @param {Buffer} uid - The tag UID (typically 7 bytes)
    * @param {Buffer} readCounter - The read counter (3 bytes)
    * @param {Object} options - Optional configuration parameters
@@ -31,6 +38,10 @@ class KeyDerivation {
    */
   static ntag424Official(masterKey, uid, readCounter, options = {}) {
     try {
+      if (KeyDerivation._isKeyHandle(masterKey)) {
+        return masterKey.provider.deriveSessionKeys(masterKey, 'ntag424Official', uid, readCounter, options);
+      }
+      
       if (!Buffer.isBuffer(masterKey) || masterKey.length !== 16) {
         throw new ValidationError('Master key must be a 16-byte Buffer', 'masterKey', masterKey?.length, 16);
       }
@@ -51,12 +62,14 @@ class KeyDerivation {
       let encKey, macKey;
       
       if (useCMAC) {
-        const cmac1 = aesCmac(masterKey, sv1);
-        const cmac2 = aesCmac(masterKey, sv2);
+        // Keys have always been taken from the ASCII form of the lowercase hex CMAC;
+        // kept so that data written by earlier versions still verifies
+        const cmac1 = CMAC.calculate(masterKey, sv1).toString('hex');
+        const cmac2 = CMAC.calculate(masterKey, sv2).toString('hex');
         encKey = Buffer.from(cmac1).slice(0, keyLength);
         macKey = Buffer.from(cmac2).slice(0, keyLength);
       } else {
-        const { AES } = require('./aes');
+        const AES = require('./aes');
         encKey = AES.ecbEncrypt(masterKey, sv1.slice(0, 16)).slice(0, keyLength);
         macKey = AES.ecbEncrypt(masterKey, sv2.slice(0, 16)).slice(0, keyLength);
       }
@@ -74,9 +87,193 @@ class KeyDerivation {
     }
   }
   
+  /**
+   * NXP AN12196 SDM Session Key Derivation
+   * 
+   * Derives SesSDMFileReadENCKey and SesSDMFileReadMACKey from the SDMFileRead key
+   * using 16-byte SV1/SV2 over the mirrored UID and SDMReadCtr (LSB first).
+   * @param {Buffer|KeyHandle} fileReadKey - The SDMFileRead key (16 bytes) or a provider key handle
+   * @param {Buffer|null} uid - The decrypted tag UID, if mirrored
+   * @param {Buffer|null} readCounter - The decrypted read counter as mirrored, if mirrored
+   * @returns {Object} Object containing encKey, macKey, and method name
+   */
+  static sdmSessionKeys(fileReadKey, uid, readCounter) {
+    try {
+      if (KeyDerivation._isKeyHandle(fileReadKey)) {
+        return fileReadKey.provider.deriveSessionKeys(fileReadKey, 'sdmSessionKeys', uid, readCounter);
+      }
+      
+      if (!Buffer.isBuffer(fileReadKey) || fileReadKey.length !== 16) {
+        throw new ValidationError('File read key must be a 16-byte Buffer', 'fileReadKey', fileReadKey?.length, 16);
+      }
+      
+      const svOptions = { svLength: 16, encLabel: 'C33C00010080', macLabel: '3CC300010080' };
+      
+      const sv1 = KeyDerivation.buildSV1(uid, readCounter, svOptions);
+      const sv2 = KeyDerivation.buildSV2(uid, readCounter, svOptions);
+      
+      return {
+        encKey: CMAC.calculate(fileReadKey, sv1),
+        macKey: CMAC.calculate(fileReadKey, sv2),
+        method: 'ntag424-sdm'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`SDM session key derivation failed: ${error.message}`, 'KEY_DERIVATION_FAILURE');
+    }
+  }
+  
+  /**
+   * NXP AN12304 SDM Session Key Derivation for LRP mode
+   * 
+   * SesSDMFileReadMasterKey is the LRP-CMAC over SV = 0001 0080 || UID || SDMReadCtr
+   * || zero padding || 1EE1. The MAC key is its updated key 0 and the ENC key its
+   * updated key 1; LRP operations take the session key plus the updated key index.
+   * @param {Buffer|KeyHandle} fileReadKey - The SDMFileRead key (16 bytes) or a provider key handle
+   * @param {Buffer|null} uid - The decrypted tag UID, if mirrored
+   * @param {Buffer|null} readCounter - The decrypted read counter as mirrored, if mirrored
+   * @returns {Object} Object containing sessionKey, encKey, macKey, key indexes, and method name
+   */
+  static sdmSessionKeysLRP(fileReadKey, uid, readCounter) {
+    try {
+      if (KeyDerivation._isKeyHandle(fileReadKey)) {
+        return fileReadKey.provider.deriveSessionKeys(fileReadKey, 'sdmSessionKeysLRP', uid, readCounter);
+      }
+      
+      if (!Buffer.isBuffer(fileReadKey) || fileReadKey.length !== 16) {
+        throw new ValidationError('File read key must be a 16-byte Buffer', 'fileReadKey', fileReadKey?.length, 16);
+      }
+      
+      const LRP = require('./lrp');
+      
+      const svData = Buffer.concat([
+        Buffer.from('00010080', 'hex'),
+        uid || Buffer.alloc(0),
+        readCounter || Buffer.alloc(0)
+      ]);
+      const svLength = Math.ceil((svData.length + 2) / 16) * 16;
+      const sv = Buffer.alloc(svLength, 0x00);
+      svData.copy(sv, 0);
+      sv.writeUInt16BE(0x1EE1, svLength - 2);
+      
+      const sessionKey = LRP.cmac(fileReadKey, sv);
+      const updatedKeys = LRP.generateUpdatedKeys(sessionKey, 2);
+      
+      return {
+        sessionKey,
+        encKey: updatedKeys[1],
+        macKey: updatedKeys[0],
+        encKeyIndex: 1,
+        macKeyIndex: 0,
+        method: 'ntag424-sdm-lrp'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`LRP SDM session key derivation failed: ${error.message}`, 'KEY_DERIVATION_FAILURE');
+    }
+  }
+  
+  /**
+   * NXP AN12196 SDMENCFileData IV Derivation
+   * @param {Buffer} encKey - SesSDMFileReadENCKey (16 bytes)
+   * @param {Buffer} readCounter - The read counter as mirrored, LSB first (3 bytes)
+   * @returns {Buffer} 16-byte IV: AES-ECB(encKey, SDMReadCtr || zero padding)
+   */
+  static sdmFileDataIV(encKey, readCounter) {
+    if (!Buffer.isBuffer(readCounter) || readCounter.length !== 3) {
+      throw new ValidationError('Read counter must be a 3-byte Buffer', 'readCounter', readCounter?.length, 3);
+    }
+    
+    const AES = require('./aes');
+    const ivInput = Buffer.alloc(16, 0x00);
+    readCounter.copy(ivInput, 0);
+    
+    return AES.ecbEncrypt(encKey, ivInput);
+  }
+  
+  /**
+   * NXP AN10922 AES-128 Key Diversification
+   * 
+   * The diversified key is the CMAC over 0x01 || UID || AID || SystemIdentifier. Unlike
+   * plain CMAC the input is always padded to 32 bytes (0x80 then zeros, final block
+   * XORed with K2); only a full 32-byte input uses K1 without padding.
+   * @param {Buffer|KeyHandle} masterKey - The master key to diversify (16 bytes) or a provider key handle
+   * @param {Buffer} uid - The tag UID
+   * @param {Buffer} aid - Application identifier (up to 3 bytes, may be empty)
+   * @param {Buffer} systemIdentifier - System identifier (may be empty)
+   * @returns {Buffer|KeyHandle} 16-byte diversified key, or a provider handle for a handle input
+   */
+  static an10922(masterKey, uid, aid = Buffer.alloc(0), systemIdentifier = Buffer.alloc(0)) {
+    try {
+      if (KeyDerivation._isKeyHandle(masterKey)) {
+        return masterKey.provider.diversify(masterKey, uid, aid, systemIdentifier);
+      }
+      
+      if (!Buffer.isBuffer(masterKey) || masterKey.length !== 16) {
+        throw new ValidationError('Master key must be a 16-byte Buffer', 'masterKey', masterKey?.length, 16);
+      }
+      
+      if (!Buffer.isBuffer(uid) || uid.length === 0) {
+        throw new ValidationError('UID must be a non-empty Buffer', 'uid', uid?.length, '>0');
+      }
+      
+      if (!Buffer.isBuffer(aid) || aid.length > 3) {
+        throw new ValidationError('AID must be a Buffer of at most 3 bytes', 'aid', aid?.length, '0-3');
+      }
+      
+      if (!Buffer.isBuffer(systemIdentifier)) {
+        throw new ValidationError('System identifier must be a Buffer', 'systemIdentifier', typeof systemIdentifier, 'Buffer');
+      }
+      
+      const diversificationInput = Buffer.concat([uid, aid, systemIdentifier]);
+      if (diversificationInput.length > 31) {
+        throw new ValidationError(
+          'UID, AID and system identifier must not exceed 31 bytes together',
+          'systemIdentifier',
+          diversificationInput.length,
+          '<=31'
+        );
+      }
+      
+      const AES = require('./aes');
+      const { k1, k2 } = CMAC.generateSubkeys(masterKey);
+      
+      const data = Buffer.alloc(32, 0x00);
+      data[0] = 0x01;
+      diversificationInput.copy(data, 1);
+      
+      let subkey = k1;
+      if (diversificationInput.length < 31) {
+        data[diversificationInput.length + 1] = 0x80;
+        subkey = k2;
+      }
+      
+      for (let i = 0; i < 16; i++) {
+        data[16 + i] ^= subkey[i];
+      }
+      
+      const diversifiedKey = AES.cbcEncrypt(masterKey, data, null, { padding: 'none' }).slice(16, 32);
+      
+      k1.fill(0);
+      k2.fill(0);
+      data.fill(0);
+      
+      return Buffer.from(diversifiedKey);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`AN10922 key diversification failed: ${error.message}`, 'KEY_DERIVATION_FAILURE');
+    }
+  }
+  
   /**
    * HKDF-based Key Derivation
-   * @param {Buffer} masterKey - The master key for derivation
+   * @param {Buffer|KeyHandle} masterKey - The master key for derivation or a provider key handle
    * @param {Buffer} uid - The tag UID
    * @param {Buffer} readCounter - The read counter
    * @param {Object} options - Configuration options
@@ -84,6 +281,10 @@ class KeyDerivation {
    */
   static hkdf(masterKey, uid, readCounter, options = {}) {
     try {
+      if (KeyDerivation._isKeyHandle(masterKey)) {
+        return masterKey.provider.deriveSessionKeys(masterKey, 'hkdf', uid, readCounter, options);
+      }
+      
       if (!Buffer.isBuffer(masterKey)) {
         throw new ValidationError('Master key must be a Buffer', 'masterKey', typeof masterKey, 'Buffer');
       }
@@ -116,7 +317,7 @@ class KeyDerivation {
   
   /**
    * PBKDF2-based Key Derivation
-   * @param {Buffer} masterKey - The master key for derivation
+   * @param {Buffer|KeyHandle} masterKey - The master key for derivation or a provider key handle
    * @param {Buffer} uid - The tag UID
    * @param {Buffer} readCounter - The read counter
    * @param {Object} options - Configuration options
@@ -124,6 +325,10 @@ class KeyDerivation {
    */
   static pbkdf2(masterKey, uid, readCounter, options = {}) {
     try {
+      if (KeyDerivation._isKeyHandle(masterKey)) {
+        return masterKey.provider.deriveSessionKeys(masterKey, 'pbkdf2', uid, readCounter, options);
+      }
+      
       if (!Buffer.isBuffer(masterKey)) {
         throw new ValidationError('Master key must be a Buffer', 'masterKey', typeof masterKey, 'Buffer');
       }
@@ -162,7 +367,7 @@ class KeyDerivation {
   
   /**
    * Simple Hash-based Key Derivation
-   * @param {Buffer} masterKey - The master key for derivation
+   * @param {Buffer|KeyHandle} masterKey - The master key for derivation or a provider key handle
    * @param {Buffer} uid - The tag UID
    * @param {Buffer} readCounter - The read counter
    * @param {Object} options - Configuration options
@@ -170,6 +375,10 @@ class KeyDerivation {
    */
   static simpleHash(masterKey, uid, readCounter, options = {}) {
     try {
+      if (KeyDerivation._isKeyHandle(masterKey)) {
+        return masterKey.provider.deriveSessionKeys(masterKey, 'simpleHash', uid, readCounter, options);
+      }
+      
       if (!Buffer.isBuffer(masterKey)) {
         throw new ValidationError('Master key must be a Buffer', 'masterKey', typeof masterKey, 'Buffer');
       }
@@ -296,6 +505,148 @@ class KeyDerivation {
       throw new SecurityError(`SV2 construction failed: ${error.message}`, 'SV_CONSTRUCTION_FAILURE');
     }
   }
+  
+  /**
+   * Validate keyDerivationOptions for a derivation method
+   * 
+   * Only zero-vector SUN messages use the configurable derivation; nxp, plain and LRP
+   * session keys are fixed by AN12196 / AN12304, so options there are rejected.
+   * @param {string} method - Key derivation method (ntag424Official, hkdf, pbkdf2, simpleHash)
+   * @param {Object|null} options - Options passed through to the method
+   * @param {string} sunMode - SUN mode the options are used with
+   * @returns {Object} Copy of the options, safe to record in result metadata
+   */
+  static validateOptions(method, options, sunMode = 'zeroVector') {
+    const allowed = DERIVATION_OPTIONS[method];
+    if (!allowed) {
+      throw new ValidationError(`Unknown key derivation method: ${method}`, 'keyDerivationMethod', method, Object.keys(DERIVATION_OPTIONS));
+    }
+    
+    if (options === null || options === undefined) {
+      return {};
+    }
+    
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new ValidationError('keyDerivationOptions must be an object', 'keyDerivationOptions', typeof options, 'object');
+    }
+    
+    if (sunMode !== 'zeroVector' && Object.keys(options).length > 0) {
+      throw new ValidationError(
+        `keyDerivationOptions only apply to sunMode 'zeroVector'; '${sunMode}' session keys follow NXP AN12196 / AN12304`,
+        'keyDerivationOptions',
+        sunMode,
+        'zeroVector'
+      );
+    }
+    
+    for (const [name, value] of Object.entries(options)) {
+      if (!allowed.includes(name)) {
+        throw new ValidationError(
+          `Option '${name}' is not supported by key derivation method '${method}'`,
+          `keyDerivationOptions.${name}`,
+          name,
+          allowed
+        );
+      }
+      
+      const field = `keyDerivationOptions.${name}`;
+      
+      switch (name) {
+        case 'useCMAC':
+          if (typeof value !== 'boolean') {
+            throw new ValidationError('useCMAC must be a boolean', field, value, 'boolean');
+          }
+          break;
+        
+        case 'svLength':
+          if (!Number.isInteger(value) || value < 16) {
+            throw new ValidationError('SV length must be an integer of at least 16 bytes', field, value, '>=16');
+          }
+          break;
+        
+        case 'encLabel':
+        case 'macLabel':
+          if (typeof value !== 'string' || !/^([0-9A-Fa-f]{2})+$/.test(value)) {
+            throw new ValidationError(`${name} must be a non-empty hex string`, field, value, 'hex string');
+          }
+          break;
+        
+        case 'algorithm': {
+          const validAlgorithms = method === 'simpleHash' ? ['sha256', 'sha512', 'sha1'] : HMAC_DIGESTS;
+          if (!validAlgorithms.includes(value)) {
+            throw new ValidationError(`Unsupported hash algorithm for ${method}: ${value}`, field, value);
+          }
+          break;
+        }
+        
+        case 'iterations':
+          if (!Number.isInteger(value) || value < 1000) {
+            throw new ValidationError('Iterations must be an integer of at least 1000', field, value, '>=1000');
+          }
+          break;
+        
+        case 'salt':
+          if (typeof value !== 'string' || value.length === 0) {
+            throw new ValidationError('salt must be a non-empty string', field, typeof value, 'string');
+          }
+          break;
+        
+        case 'info':
+        case 'saltPrefix':
+          if (typeof value !== 'string') {
+            throw new ValidationError(`${name} must be a string`, field, typeof value, 'string');
+          }
+          break;
+      }
+    }
+    
+    return { ...options };
+  }
+  
+  /**
+   * Validate AN10922 key diversification settings as used by the Encoder and Decoder
+   * @param {Object} diversification - Settings with optional aid and systemIdentifier hex strings
+   */
+  static validateDiversification(diversification) {
+    if (diversification === null || typeof diversification !== 'object' || Array.isArray(diversification)) {
+      throw new ValidationError(
+        'keyDiversification must be an object with aid and systemIdentifier',
+        'keyDiversification',
+        typeof diversification
+      );
+    }
+    
+    const { aid = '', systemIdentifier = '' } = diversification;
+    
+    for (const [field, value] of [['aid', aid], ['systemIdentifier', systemIdentifier]]) {
+      if (typeof value !== 'string' || value.length % 2 !== 0 || !/^[0-9A-Fa-f]*$/.test(value)) {
+        throw new ValidationError(
+          `keyDiversification.${field} must be an even-length hex string`,
+          `keyDiversification.${field}`,
+          value
+        );
+      }
+    }
+    
+    if (aid.length > 6) {
+      throw new ValidationError(
+        'keyDiversification.aid must be at most 3 bytes',
+        'keyDiversification.aid',
+        aid,
+        '0-3 bytes'
+      );
+    }
+  }
+  
+  /**
+   * Check whether a key argument is a key provider handle
+   * @param {*} key - Key argument
+   * @returns {boolean} True if the key is held by a key provider
+   */
+  static _isKeyHandle(key) {
+    const { KeyHandle } = require('./key-provider');
+    return KeyHandle.isHandle(key);
+  }
 }
 
 module.exports = KeyDerivation;
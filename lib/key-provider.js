@@ -0,0 +1,422 @@
+/**
+ * Key Providers for NTAG424 Crypto Library
+ *
+ * A key provider keeps key material to itself and hands out opaque key handles.
+ * Session key derivation, CMAC and block operations run inside the provider, so
+ * the raw keys never reach application code. The bundled software provider reads
+ * its keys from a passphrase-encrypted key file and stands in for an HSM.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AES = require('./aes');
+const CMAC = require('./cmac');
+const LRP = require('./lrp');
+const KeyDerivation = require('./key-derivation');
+const KeyWrap = require('./key-wrap');
+const { MemoryManager } = require('./secure-memory');
+const { ValidationError, SecurityError } = require('./error-types');
+
+const KEY_FILE_FORMAT = 'ntag424-keystore';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Key Handle - opaque reference to a key held by a provider
+ */
+class KeyHandle {
+  /**
+   * @param {KeyProvider} provider - Provider holding the key
+   * @param {string} keyId - Key identifier
+   * @param {Object} metadata - Non-secret key metadata (version, validFrom, validUntil)
+   */
+  constructor(provider, keyId, metadata = {}) {
+    this.provider = provider;
+    this.keyId = keyId;
+    this.version = metadata.version ?? 1;
+    this.validFrom = metadata.validFrom ?? null;
+    this.validUntil = metadata.validUntil ?? null;
+    Object.freeze(this);
+  }
+
+  /**
+   * Check whether a value is a key handle
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value is a KeyHandle
+   */
+  static isHandle(value) {
+    return value instanceof KeyHandle;
+  }
+}
+
+/**
+ * Key Provider - interface for key storage backends
+ *
+ * Implementations hold the key material and implement every operation below
+ * for the handles they issue.
+ */
+class KeyProvider {
+  /**
+   * List the keys held by the provider in preference order
+   * @returns {Array<KeyHandle>} Key handles
+   */
+  listKeys() {
+    throw new SecurityError('KeyProvider.listKeys() is not implemented', 'PROVIDER_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Get the handle of a key
+   * @param {string} keyId - Key identifier
+   * @returns {KeyHandle} Key handle
+   */
+  getKey(keyId) {
+    const handle = this.listKeys().find(candidate => candidate.keyId === keyId);
+    
+    if (!handle) {
+      throw new ValidationError(`Unknown key: ${keyId}`, 'keyId', keyId);
+    }
+    
+    return handle;
+  }
+
+  /**
+   * Derive session keys with a KeyDerivation method inside the provider
+   * @param {KeyHandle} handle - Key handle
+   * @param {string} method - KeyDerivation method name (e.g. 'sdmSessionKeys', 'hkdf')
+   * @param {Buffer|null} uid - Tag UID
+   * @param {Buffer|null} readCounter - Read counter
+   * @param {Object} options - Method options
+   * @returns {Object} Session keys as returned by the KeyDerivation method
+   */
+  deriveSessionKeys(handle, method, uid, readCounter, options = {}) {
+    throw new SecurityError('KeyProvider.deriveSessionKeys() is not implemented', 'PROVIDER_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Diversify a key per tag (AN10922) into a new handle
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} uid - Tag UID
+   * @param {Buffer} aid - Application identifier
+   * @param {Buffer} systemIdentifier - System identifier
+   * @returns {KeyHandle} Handle of the diversified key; release it with releaseKey()
+   */
+  diversify(handle, uid, aid, systemIdentifier) {
+    throw new SecurityError('KeyProvider.diversify() is not implemented', 'PROVIDER_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Calculate AES-CMAC with a key
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} data - Data to authenticate
+   * @returns {Buffer} 16-byte CMAC
+   */
+  cmac(handle, data) {
+    throw new SecurityError('KeyProvider.cmac() is not implemented', 'PROVIDER_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Encrypt whole blocks with a key
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} data - Block-aligned data
+   * @param {Object} options - cryptoMode 'aes' (ECB) or 'lrp' (LRICB with counter)
+   * @returns {Buffer} Encrypted blocks
+   */
+  encryptBlock(handle, data, options = {}) {
+    throw new SecurityError('KeyProvider.encryptBlock() is not implemented', 'PROVIDER_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Decrypt whole blocks with a key
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} data - Block-aligned data
+   * @param {Object} options - cryptoMode 'aes' (ECB) or 'lrp' (LRICB with counter)
+   * @returns {Buffer} Decrypted blocks
+   */
+  decryptBlock(handle, data, options = {}) {
+    throw new SecurityError('KeyProvider.decryptBlock() is not implemented', 'PROVIDER_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Release a temporary handle such as a diversified key
+   * @param {KeyHandle} handle - Key handle
+   */
+  releaseKey(handle) {
+  }
+}
+
+/**
+ * Software Key Provider - keeps keys in secure buffers inside the provider
+ */
+class SoftwareKeyProvider extends KeyProvider {
+  #keys = new Map();
+  #handles = [];
+  #memoryManager = new MemoryManager();
+
+  /**
+   * @param {Array<Object>} entries - Keys as { keyId, version, key (hex), validFrom, validUntil }
+   */
+  constructor(entries = []) {
+    super();
+    
+    if (!Array.isArray(entries)) {
+      throw new ValidationError('Key entries must be an array', 'entries', typeof entries);
+    }
+    
+    for (const entry of entries) {
+      this._addKey(entry);
+    }
+  }
+
+  /**
+   * Load a provider from a passphrase-encrypted key file
+   * @param {string} filePath - Key file path
+   * @param {string} passphrase - Key file passphrase
+   * @returns {SoftwareKeyProvider} Provider holding the file's keys
+   */
+  static fromFile(filePath, passphrase) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new SecurityError(`Key file read failed: ${error.message}`, 'KEY_FILE_READ_FAILURE');
+    }
+    
+    const plaintext = this.decryptKeyFile(content, passphrase);
+    
+    try {
+      return new SoftwareKeyProvider(JSON.parse(plaintext.toString('utf8')).keys);
+    } finally {
+      plaintext.fill(0);
+    }
+  }
+
+  /**
+   * Write keys to a passphrase-encrypted key file
+   * @param {string} filePath - Key file path
+   * @param {string} passphrase - Key file passphrase
+   * @param {Array<Object>} entries - Keys as { keyId, version, key (hex), validFrom, validUntil }
+   */
+  static writeKeyFile(filePath, passphrase, entries) {
+    // Validates the entries before anything is written
+    new SoftwareKeyProvider(entries);
+    
+    const plaintext = Buffer.from(JSON.stringify({ keys: entries }), 'utf8');
+    const content = this.encryptKeyFile(plaintext, passphrase);
+    plaintext.fill(0);
+    
+    const resolvedPath = path.resolve(filePath);
+    const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content, { mode: 0o600 });
+    fs.renameSync(tempPath, resolvedPath);
+  }
+
+  /**
+   * Encrypt key file content with scrypt and AES-256-GCM
+   * @param {Buffer} plaintext - Key file content
+   * @param {string} passphrase - Passphrase
+   * @returns {string} Key file JSON
+   */
+  static encryptKeyFile(plaintext, passphrase) {
+    return JSON.stringify({
+      format: KEY_FILE_FORMAT,
+      version: 1,
+      ...KeyWrap.sealWithPassphrase(plaintext, passphrase, Buffer.from(KEY_FILE_FORMAT, 'ascii'), SCRYPT_PARAMS)
+    }, null, 2);
+  }
+
+  /**
+   * Decrypt key file content
+   * @param {string} content - Key file JSON
+   * @param {string} passphrase - Passphrase
+   * @returns {Buffer} Key file plaintext; the caller should zero it after use
+   */
+  static decryptKeyFile(content, passphrase) {
+    KeyWrap._validatePassphrase(passphrase);
+    
+    let keyFile;
+    try {
+      keyFile = JSON.parse(content);
+    } catch (error) {
+      throw new SecurityError(`Key file is not valid JSON: ${error.message}`, 'KEY_FILE_CORRUPTED');
+    }
+    
+    if (keyFile.format !== KEY_FILE_FORMAT || keyFile.version !== 1) {
+      throw new ValidationError('Unsupported key file format', 'keyFile', `${keyFile.format} v${keyFile.version}`);
+    }
+    
+    try {
+      return KeyWrap.openWithPassphrase(keyFile, passphrase, Buffer.from(KEY_FILE_FORMAT, 'ascii'));
+    } catch (error) {
+      if (error instanceof SecurityError && error.details.threat === 'PASSPHRASE_AUTH_FAILURE') {
+        throw new SecurityError('Key file decryption failed: wrong passphrase or modified file', 'KEY_FILE_AUTH_FAILURE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the keys held by the provider in file order
+   * @returns {Array<KeyHandle>} Key handles
+   */
+  listKeys() {
+    return [...this.#handles];
+  }
+
+  /**
+   * Derive session keys with a KeyDerivation method inside the provider
+   * @param {KeyHandle} handle - Key handle
+   * @param {string} method - KeyDerivation method name
+   * @param {Buffer|null} uid - Tag UID
+   * @param {Buffer|null} readCounter - Read counter
+   * @param {Object} options - Method options
+   * @returns {Object} Session keys
+   */
+  deriveSessionKeys(handle, method, uid, readCounter, options = {}) {
+    const methods = ['ntag424Official', 'sdmSessionKeys', 'sdmSessionKeysLRP', 'hkdf', 'pbkdf2', 'simpleHash'];
+    
+    if (!methods.includes(method)) {
+      throw new ValidationError(`Unsupported derivation method: ${method}`, 'method', method);
+    }
+    
+    return KeyDerivation[method](this.#resolve(handle), uid, readCounter, options);
+  }
+
+  /**
+   * Diversify a key per tag (AN10922) into a new temporary handle
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} uid - Tag UID
+   * @param {Buffer} aid - Application identifier
+   * @param {Buffer} systemIdentifier - System identifier
+   * @returns {KeyHandle} Handle of the diversified key
+   */
+  diversify(handle, uid, aid, systemIdentifier) {
+    const diversifiedKey = KeyDerivation.an10922(this.#resolve(handle), uid, aid, systemIdentifier);
+    const keyId = `${handle.keyId}/${uid.toString('hex').toUpperCase()}/${crypto.randomBytes(4).toString('hex')}`;
+    
+    const secureBuffer = this.#memoryManager.createSecureBuffer(16);
+    diversifiedKey.copy(secureBuffer.data);
+    diversifiedKey.fill(0);
+    
+    this.#keys.set(keyId, secureBuffer);
+    return new KeyHandle(this, keyId, { version: handle.version });
+  }
+
+  /**
+   * Calculate AES-CMAC with a key
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} data - Data to authenticate
+   * @returns {Buffer} 16-byte CMAC
+   */
+  cmac(handle, data) {
+    return CMAC.calculate(this.#resolve(handle), data);
+  }
+
+  /**
+   * Encrypt whole blocks with a key
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} data - Block-aligned data
+   * @param {Object} options - cryptoMode 'aes' (ECB) or 'lrp' (LRICB with counter)
+   * @returns {Buffer} Encrypted blocks
+   */
+  encryptBlock(handle, data, options = {}) {
+    const { cryptoMode = 'aes', counter = null } = options;
+    
+    if (cryptoMode === 'lrp') {
+      return LRP.lricbEncrypt(this.#resolve(handle), data, counter, { padding: 'none' });
+    }
+    
+    return AES.ecbEncrypt(this.#resolve(handle), data);
+  }
+
+  /**
+   * Decrypt whole blocks with a key
+   * @param {KeyHandle} handle - Key handle
+   * @param {Buffer} data - Block-aligned data
+   * @param {Object} options - cryptoMode 'aes' (ECB) or 'lrp' (LRICB with counter)
+   * @returns {Buffer} Decrypted blocks
+   */
+  decryptBlock(handle, data, options = {}) {
+    const { cryptoMode = 'aes', counter = null } = options;
+    
+    if (cryptoMode === 'lrp') {
+      return LRP.lricbDecrypt(this.#resolve(handle), data, counter, { padding: 'none' });
+    }
+    
+    return AES.ecbDecrypt(this.#resolve(handle), data);
+  }
+
+  /**
+   * Release a temporary handle and clear its key
+   * @param {KeyHandle} handle - Key handle
+   */
+  releaseKey(handle) {
+    if (this.#handles.includes(handle)) {
+      return;
+    }
+    
+    const secureBuffer = this.#keys.get(handle.keyId);
+    if (secureBuffer) {
+      secureBuffer.clear();
+      this.#keys.delete(handle.keyId);
+    }
+  }
+
+  /**
+   * Clear all keys held by the provider
+   */
+  destroy() {
+    this.#memoryManager.clearAll();
+    this.#keys.clear();
+    this.#handles = [];
+  }
+
+  /**
+   * Add a key entry
+   * @param {Object} entry - Key entry
+   */
+  _addKey(entry) {
+    if (!entry || !entry.keyId || typeof entry.keyId !== 'string') {
+      throw new ValidationError('Key entry keyId must be a non-empty string', 'keyId', entry?.keyId);
+    }
+    
+    if (this.#keys.has(entry.keyId)) {
+      throw new ValidationError(`Duplicate keyId: ${entry.keyId}`, 'keyId', entry.keyId);
+    }
+    
+    if (typeof entry.key !== 'string' || !/^[0-9A-Fa-f]{32}$/.test(entry.key)) {
+      throw new ValidationError(`Key '${entry.keyId}' must be a 32-character hex string`, 'key', '[REDACTED]');
+    }
+    
+    const secureBuffer = this.#memoryManager.createSecureBuffer(16);
+    const decoded = Buffer.from(entry.key, 'hex');
+    decoded.copy(secureBuffer.data);
+    decoded.fill(0);
+    
+    this.#keys.set(entry.keyId, secureBuffer);
+    this.#handles.push(new KeyHandle(this, entry.keyId, entry));
+  }
+
+  /**
+   * Resolve a handle issued by this provider to its key buffer
+   * @param {KeyHandle} handle - Key handle
+   * @returns {Buffer} Key buffer
+   */
+  #resolve(handle) {
+    if (!KeyHandle.isHandle(handle) || handle.provider !== this) {
+      throw new SecurityError('Key handle was not issued by this provider', 'FOREIGN_KEY_HANDLE');
+    }
+    
+    const secureBuffer = this.#keys.get(handle.keyId);
+    if (!secureBuffer) {
+      throw new SecurityError(`Key '${handle.keyId}' has been released`, 'KEY_RELEASED');
+    }
+    
+    return secureBuffer.data;
+  }
+}
+
+module.exports = {
+  KeyHandle,
+  KeyProvider,
+  SoftwareKeyProvider
+};
@@ -0,0 +1,485 @@
+/**
+ * Master Key Wrapping
+ *
+ * Wraps keys for storage outside of plaintext configuration, either under a passphrase
+ * (scrypt + AES-256-GCM) or under a key encryption key (RFC 3394 AES key wrap). Wrapped
+ * keys are stored in a versioned JSON envelope, optionally PEM-armoured, that carries
+ * the key check value (KCV) of the wrapped key so a wrong key is caught on unwrap.
+ */
+
+const crypto = require('crypto');
+const KCV = require('./kcv');
+const { MemoryManager } = require('./secure-memory');
+const { ValidationError, SecurityError } = require('./error-types');
+
+const ENVELOPE_FORMAT = 'ntag424-wrapped-key';
+const ENVELOPE_VERSION = 1;
+const PEM_LABEL = 'NTAG424 WRAPPED KEY';
+const SCRYPT_DEFAULTS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_LIMITS = { minN: 2 ** 14, maxN: 2 ** 20, maxR: 16, maxP: 4 };
+// Envelopes may come from untrusted sources, so unwrapping accepts less than wrapping
+const SCRYPT_READ_LIMITS = { minN: 2 ** 14, maxN: 2 ** 17, maxR: 8, maxP: 4 };
+// Fixed, so envelope parameters cannot raise them; cover the 128 * N * r bytes of the largest accepted N and r
+const SCRYPT_MAXMEM = 129 * SCRYPT_LIMITS.maxN * SCRYPT_LIMITS.maxR;
+const SCRYPT_READ_MAXMEM = 129 * SCRYPT_READ_LIMITS.maxN * SCRYPT_READ_LIMITS.maxR;
+const RFC3394_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+
+/**
+ * Key Wrapping Operations
+ */
+class KeyWrap {
+
+  /**
+   * Wrap a key under a passphrase
+   * @param {string|Buffer} key - Key as hex string or Buffer
+   * @param {string} passphrase - Passphrase (at least 8 characters)
+   * @param {Object} options - Optional configuration (encoding: 'json' or 'pem', scrypt: { N, r, p })
+   * @returns {string} Wrapped key envelope
+   */
+  static wrapWithPassphrase(key, passphrase, options = {}) {
+    const keyBuffer = this._toKeyBuffer(key);
+    
+    try {
+      const kcv = KCV.calculate(keyBuffer);
+      const sealed = this.sealWithPassphrase(keyBuffer, passphrase, this._aad(kcv), options.scrypt);
+      
+      return this._encodeEnvelope({
+        format: ENVELOPE_FORMAT,
+        version: ENVELOPE_VERSION,
+        algorithm: 'scrypt-aes-256-gcm',
+        ...sealed,
+        kcv
+      }, options.encoding);
+    } finally {
+      keyBuffer.fill(0);
+    }
+  }
+
+  /**
+   * Unwrap a passphrase-wrapped key and check its KCV
+   * @param {string} envelope - Wrapped key envelope (JSON or PEM)
+   * @param {string} passphrase - Passphrase
+   * @returns {string} Key as 32-character uppercase hex string
+   */
+  static unwrapWithPassphrase(envelope, passphrase) {
+    const parsed = this._decodeEnvelope(envelope, 'scrypt-aes-256-gcm');
+    const keyBuffer = this.openWithPassphrase(parsed, passphrase, this._aad(parsed.kcv));
+    
+    return this._checkAndExport(keyBuffer, parsed.kcv);
+  }
+
+  /**
+   * Wrap a key under a key encryption key (RFC 3394)
+   * @param {string|Buffer} key - Key as hex string or Buffer
+   * @param {string|Buffer} kek - Key encryption key (16, 24 or 32 bytes)
+   * @param {Object} options - Optional configuration (encoding: 'json' or 'pem')
+   * @returns {string} Wrapped key envelope
+   */
+  static wrapWithKek(key, kek, options = {}) {
+    const keyBuffer = this._toKeyBuffer(key);
+    const kekBuffer = this._toKekBuffer(kek);
+    
+    try {
+      return this._encodeEnvelope({
+        format: ENVELOPE_FORMAT,
+        version: ENVELOPE_VERSION,
+        algorithm: 'aes-kw',
+        wrappedKey: this.aesKeyWrap(kekBuffer, keyBuffer).toString('hex').toUpperCase(),
+        kcv: KCV.calculate(keyBuffer)
+      }, options.encoding);
+    } finally {
+      keyBuffer.fill(0);
+      kekBuffer.fill(0);
+    }
+  }
+
+  /**
+   * Unwrap a KEK-wrapped key and check its KCV
+   * @param {string} envelope - Wrapped key envelope (JSON or PEM)
+   * @param {string|Buffer} kek - Key encryption key
+   * @returns {string} Key as 32-character uppercase hex string
+   */
+  static unwrapWithKek(envelope, kek) {
+    const parsed = this._decodeEnvelope(envelope, 'aes-kw');
+    const kekBuffer = this._toKekBuffer(kek);
+    
+    try {
+      const keyBuffer = this.aesKeyUnwrap(kekBuffer, Buffer.from(parsed.wrappedKey, 'hex'));
+      return this._checkAndExport(keyBuffer, parsed.kcv);
+    } finally {
+      kekBuffer.fill(0);
+    }
+  }
+
+  /**
+   * RFC 3394 AES Key Wrap
+   * @param {Buffer} kek - Key encryption key (16, 24 or 32 bytes)
+   * @param {Buffer} keyData - Key data (multiple of 8 bytes, at least 16)
+   * @returns {Buffer} Wrapped key (keyData length + 8 bytes)
+   */
+  static aesKeyWrap(kek, keyData) {
+    try {
+      this._validateKek(kek);
+      
+      if (!Buffer.isBuffer(keyData) || keyData.length < 16 || keyData.length % 8 !== 0) {
+        throw new ValidationError('Key data must be a Buffer of at least 16 bytes in 8-byte blocks', 'keyData', keyData?.length, 'multiple of 8');
+      }
+      
+      const n = keyData.length / 8;
+      const cipher = this._ecb(kek, true);
+      let a = Buffer.from(RFC3394_IV);
+      const r = [];
+      for (let i = 0; i < n; i++) {
+        r.push(Buffer.from(keyData.slice(i * 8, (i + 1) * 8)));
+      }
+      
+      for (let j = 0; j <= 5; j++) {
+        for (let i = 0; i < n; i++) {
+          const b = cipher.update(Buffer.concat([a, r[i]]));
+          a = this._xorCounter(b.slice(0, 8), n * j + i + 1);
+          r[i] = b.slice(8, 16);
+        }
+      }
+      
+      return Buffer.concat([a, ...r]);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`AES key wrap failed: ${error.message}`, 'KEY_WRAP_FAILURE');
+    }
+  }
+
+  /**
+   * RFC 3394 AES Key Unwrap
+   * @param {Buffer} kek - Key encryption key (16, 24 or 32 bytes)
+   * @param {Buffer} wrapped - Wrapped key
+   * @returns {Buffer} Unwrapped key data
+   */
+  static aesKeyUnwrap(kek, wrapped) {
+    try {
+      this._validateKek(kek);
+      
+      if (!Buffer.isBuffer(wrapped) || wrapped.length < 24 || wrapped.length % 8 !== 0) {
+        throw new ValidationError('Wrapped key must be a Buffer of at least 24 bytes in 8-byte blocks', 'wrapped', wrapped?.length, 'multiple of 8');
+      }
+      
+      const n = wrapped.length / 8 - 1;
+      const decipher = this._ecb(kek, false);
+      let a = Buffer.from(wrapped.slice(0, 8));
+      const r = [];
+      for (let i = 0; i < n; i++) {
+        r.push(Buffer.from(wrapped.slice((i + 1) * 8, (i + 2) * 8)));
+      }
+      
+      for (let j = 5; j >= 0; j--) {
+        for (let i = n - 1; i >= 0; i--) {
+          const b = decipher.update(Buffer.concat([this._xorCounter(a, n * j + i + 1), r[i]]));
+          a = b.slice(0, 8);
+          r[i] = b.slice(8, 16);
+        }
+      }
+      
+      if (!MemoryManager.timingSafeEqual(a, RFC3394_IV)) {
+        r.forEach(block => block.fill(0));
+        throw new SecurityError('Key unwrap integrity check failed: wrong KEK or modified data', 'KEY_UNWRAP_INTEGRITY');
+      }
+      
+      return Buffer.concat(r);
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof SecurityError) {
+        throw error;
+      }
+      throw new SecurityError(`AES key unwrap failed: ${error.message}`, 'KEY_UNWRAP_FAILURE');
+    }
+  }
+
+  /**
+   * Encrypt data under a passphrase with scrypt and AES-256-GCM
+   * @param {Buffer} plaintext - Data to encrypt
+   * @param {string} passphrase - Passphrase (at least 8 characters)
+   * @param {Buffer} aad - Additional authenticated data
+   * @param {Object} scryptParams - Optional scrypt cost parameters { N, r, p }
+   * @returns {Object} Object containing kdf, cipher and ciphertext fields
+   */
+  static sealWithPassphrase(plaintext, passphrase, aad = Buffer.alloc(0), scryptParams = SCRYPT_DEFAULTS) {
+    this._validatePassphrase(passphrase);
+    
+    const params = { ...SCRYPT_DEFAULTS, ...scryptParams };
+    this._validateScryptParams(params);
+    
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const fileKey = this._scrypt(passphrase, salt, params);
+    
+    try {
+      const cipher = crypto.createCipheriv('aes-256-gcm', fileKey, iv);
+      cipher.setAAD(aad);
+      const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+      
+      return {
+        kdf: { name: 'scrypt', salt: salt.toString('hex'), ...params },
+        cipher: { name: 'aes-256-gcm', iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+        ciphertext: ciphertext.toString('hex')
+      };
+    } finally {
+      fileKey.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt data sealed with sealWithPassphrase()
+   * @param {Object} sealed - Object containing kdf, cipher and ciphertext fields
+   * @param {string} passphrase - Passphrase
+   * @param {Buffer} aad - Additional authenticated data used when sealing
+   * @returns {Buffer} Plaintext; the caller should zero it after use
+   */
+  static openWithPassphrase(sealed, passphrase, aad = Buffer.alloc(0)) {
+    this._validatePassphrase(passphrase);
+    
+    if (!sealed.kdf || sealed.kdf.name !== 'scrypt' || !sealed.cipher || sealed.cipher.name !== 'aes-256-gcm') {
+      throw new ValidationError('Unsupported envelope algorithms', 'envelope', `${sealed.kdf?.name}/${sealed.cipher?.name}`);
+    }
+    
+    // The cost parameters come from the envelope, so they are bounded before scrypt runs
+    const { salt, N, r, p } = sealed.kdf;
+    this._validateScryptParams({ N, r, p }, SCRYPT_READ_LIMITS);
+    
+    const fileKey = this._scrypt(passphrase, Buffer.from(salt, 'hex'), { N, r, p }, SCRYPT_READ_MAXMEM);
+    
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, Buffer.from(sealed.cipher.iv, 'hex'));
+      decipher.setAAD(aad);
+      decipher.setAuthTag(Buffer.from(sealed.cipher.tag, 'hex'));
+      
+      return Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'hex')), decipher.final()]);
+    } catch (error) {
+      throw new SecurityError('Decryption failed: wrong passphrase or modified data', 'PASSPHRASE_AUTH_FAILURE');
+    } finally {
+      fileKey.fill(0);
+    }
+  }
+
+  /**
+   * Read the KCV recorded in an envelope without unwrapping it
+   * @param {string} envelope - Wrapped key envelope (JSON or PEM)
+   * @returns {string} KCV as uppercase hex
+   */
+  static getEnvelopeKcv(envelope) {
+    return this._decodeEnvelope(envelope, null).kcv;
+  }
+
+  /**
+   * Compare the KCV of an unwrapped key and export it as hex
+   * @param {Buffer} keyBuffer - Unwrapped key
+   * @param {string} expectedKcv - KCV recorded in the envelope
+   * @returns {string} Key as uppercase hex string
+   */
+  static _checkAndExport(keyBuffer, expectedKcv) {
+    try {
+      if (keyBuffer.length !== 16) {
+        throw new SecurityError('Unwrapped key must be 16 bytes', 'KEY_LENGTH_MISMATCH', { length: keyBuffer.length });
+      }
+      
+      if (!KCV.verify(keyBuffer, expectedKcv)) {
+        throw new SecurityError('Unwrapped key does not match the envelope KCV', 'KCV_MISMATCH', { expectedKcv });
+      }
+      
+      return keyBuffer.toString('hex').toUpperCase();
+    } finally {
+      keyBuffer.fill(0);
+    }
+  }
+
+  /**
+   * Additional authenticated data binding the envelope header to the ciphertext
+   * @param {string} kcv - KCV recorded in the envelope
+   * @returns {Buffer} AAD
+   */
+  static _aad(kcv) {
+    return Buffer.from(`${ENVELOPE_FORMAT}:${ENVELOPE_VERSION}:${kcv}`, 'ascii');
+  }
+
+  /**
+   * Serialize an envelope as JSON or PEM
+   * @param {Object} envelope - Envelope object
+   * @param {string} encoding - 'json' (default) or 'pem'
+   * @returns {string} Encoded envelope
+   */
+  static _encodeEnvelope(envelope, encoding = 'json') {
+    const json = JSON.stringify(envelope, null, 2);
+    
+    if (encoding === 'json') {
+      return json;
+    }
+    
+    if (encoding !== 'pem') {
+      throw new ValidationError("Encoding must be 'json' or 'pem'", 'encoding', encoding);
+    }
+    
+    const body = Buffer.from(JSON.stringify(envelope), 'utf8').toString('base64').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN ${PEM_LABEL}-----\n${body}\n-----END ${PEM_LABEL}-----\n`;
+  }
+
+  /**
+   * Parse a JSON or PEM envelope
+   * @param {string} envelope - Encoded envelope
+   * @param {string|null} algorithm - Expected algorithm, or null for any
+   * @returns {Object} Envelope object
+   */
+  static _decodeEnvelope(envelope, algorithm) {
+    if (typeof envelope !== 'string' || envelope.trim().length === 0) {
+      throw new ValidationError('Envelope must be a non-empty string', 'envelope', typeof envelope);
+    }
+    
+    let json = envelope.trim();
+    const pem = json.match(new RegExp(`^-----BEGIN ${PEM_LABEL}-----([\\s\\S]+?)-----END ${PEM_LABEL}-----$`));
+    if (pem) {
+      json = Buffer.from(pem[1].replace(/\s+/g, ''), 'base64').toString('utf8');
+    }
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new ValidationError(`Envelope is not valid JSON or PEM: ${error.message}`, 'envelope', 'unparseable');
+    }
+    
+    if (parsed.format !== ENVELOPE_FORMAT) {
+      throw new ValidationError('Unknown envelope format', 'envelope.format', parsed.format, ENVELOPE_FORMAT);
+    }
+    
+    if (parsed.version !== ENVELOPE_VERSION) {
+      throw new ValidationError(`Unsupported envelope version: ${parsed.version}`, 'envelope.version', parsed.version, ENVELOPE_VERSION);
+    }
+    
+    if (algorithm && parsed.algorithm !== algorithm) {
+      throw new ValidationError(`Envelope algorithm must be '${algorithm}'`, 'envelope.algorithm', parsed.algorithm, algorithm);
+    }
+    
+    if (typeof parsed.kcv !== 'string' || !/^[0-9A-Fa-f]{6}$/.test(parsed.kcv)) {
+      throw new ValidationError('Envelope KCV must be 6 hex characters', 'envelope.kcv', parsed.kcv);
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Convert a 16-byte key argument to a Buffer copy
+   * @param {string|Buffer} key - Key as hex string or Buffer
+   * @returns {Buffer} Key buffer
+   */
+  static _toKeyBuffer(key) {
+    if (Buffer.isBuffer(key) && key.length === 16) {
+      return Buffer.from(key);
+    }
+    
+    if (typeof key === 'string' && /^[0-9A-Fa-f]{32}$/.test(key)) {
+      return Buffer.from(key, 'hex');
+    }
+    
+    throw new ValidationError('Key must be a 32-character hex string or 16-byte Buffer', 'key', '[REDACTED]');
+  }
+
+  /**
+   * Convert a KEK argument to a Buffer copy
+   * @param {string|Buffer} kek - KEK as hex string or Buffer
+   * @returns {Buffer} KEK buffer
+   */
+  static _toKekBuffer(kek) {
+    const kekBuffer = typeof kek === 'string' && /^([0-9A-Fa-f]{2})+$/.test(kek)
+      ? Buffer.from(kek, 'hex')
+      : (Buffer.isBuffer(kek) ? Buffer.from(kek) : null);
+    
+    this._validateKek(kekBuffer);
+    return kekBuffer;
+  }
+
+  /**
+   * Validate a KEK buffer
+   * @param {Buffer} kek - KEK
+   */
+  static _validateKek(kek) {
+    if (!Buffer.isBuffer(kek) || ![16, 24, 32].includes(kek.length)) {
+      throw new ValidationError('KEK must be 16, 24 or 32 bytes', 'kek', kek?.length, '16, 24 or 32');
+    }
+  }
+
+  /**
+   * Validate a passphrase
+   * @param {string} passphrase - Passphrase
+   */
+  static _validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new ValidationError('Passphrase must be a string of at least 8 characters', 'passphrase', '[REDACTED]', '>=8 characters');
+    }
+  }
+
+  /**
+   * Derive a 32-byte key from a passphrase with scrypt
+   * @param {string} passphrase - Passphrase
+   * @param {Buffer} salt - Salt
+   * @param {Object} params - Cost parameters { N, r, p }
+   * @param {number} maxmem - scrypt memory limit in bytes
+   * @returns {Buffer} Derived key
+   */
+  static _scrypt(passphrase, salt, params, maxmem = SCRYPT_MAXMEM) {
+    const { N, r, p } = params;
+    return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem });
+  }
+
+  /**
+   * Check scrypt cost parameters against fixed bounds
+   * @param {Object} params - Cost parameters { N, r, p }
+   * @param {Object} limits - Bounds { minN, maxN, maxR, maxP }
+   */
+  static _validateScryptParams(params, limits = SCRYPT_LIMITS) {
+    const { N, r, p } = params;
+    
+    if (!Number.isInteger(N) || N < limits.minN || N > limits.maxN || (N & (N - 1)) !== 0) {
+      const [min, max] = [limits.minN, limits.maxN].map(bound => `2^${Math.log2(bound)}`);
+      throw new ValidationError(`scrypt N must be a power of two from ${min} to ${max}`, 'kdf.N', N, `${min}-${max}`);
+    }
+    
+    if (!Number.isInteger(r) || r < 1 || r > limits.maxR) {
+      throw new ValidationError(`scrypt r must be an integer from 1 to ${limits.maxR}`, 'kdf.r', r, `1-${limits.maxR}`);
+    }
+    
+    if (!Number.isInteger(p) || p < 1 || p > limits.maxP) {
+      throw new ValidationError(`scrypt p must be an integer from 1 to ${limits.maxP}`, 'kdf.p', p, `1-${limits.maxP}`);
+    }
+  }
+
+  /**
+   * Create an AES-ECB cipher for the KEK size
+   * @param {Buffer} kek - KEK
+   * @param {boolean} encrypt - True for encryption
+   * @returns {Cipher|Decipher} Cipher without padding
+   */
+  static _ecb(kek, encrypt) {
+    const algorithm = `aes-${kek.length * 8}-ecb`;
+    const cipher = encrypt
+      ? crypto.createCipheriv(algorithm, kek, null)
+      : crypto.createDecipheriv(algorithm, kek, null);
+    cipher.setAutoPadding(false);
+    return cipher;
+  }
+
+  /**
+   * XOR the 64-bit step counter t into the integrity register
+   * @param {Buffer} a - 8-byte register
+   * @param {number} t - Step counter
+   * @returns {Buffer} New register
+   */
+  static _xorCounter(a, t) {
+    const result = Buffer.from(a);
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(t));
+    for (let i = 0; i < 8; i++) {
+      result[i] ^= counter[i];
+    }
+    return result;
+  }
+}
+
+module.exports = KeyWrap;
@@ -0,0 +1,305 @@
+/**
+ * LRP (Leakage Resilient Primitive) Operations
+ *
+ * Provides the LRP primitive from NXP AN12304 as used by NTAG424 DNA in LRP mode:
+ * plaintext and updated key generation, LRICB encryption/decryption and LRP-CMAC.
+ * All operations are built on AES-128 with 4-bit nibbles and 16 plaintexts.
+ */
+
+const { ValidationError, SecurityError } = require('./error-types');
+const AES = require('./aes');
+const CMAC = require('./cmac');
+
+const BLOCK_SIZE = 16;
+const NIBBLE_COUNT = 16;
+const CONST_55 = Buffer.alloc(BLOCK_SIZE, 0x55);
+const CONST_AA = Buffer.alloc(BLOCK_SIZE, 0xAA);
+const CONST_00 = Buffer.alloc(BLOCK_SIZE, 0x00);
+
+/**
+ * LRP Operations
+ */
+class LRP {
+  
+  /**
+   * Generate the 16 LRP plaintexts for a key
+   * @param {Buffer} key - 16-byte LRP key
+   * @returns {Buffer[]} Array of 16 plaintext blocks
+   */
+  static generatePlaintexts(key) {
+    this._validateKey(key);
+    
+    const plaintexts = [];
+    let h = AES.ecbEncrypt(key, CONST_55);
+    
+    for (let i = 0; i < NIBBLE_COUNT; i++) {
+      plaintexts.push(AES.ecbEncrypt(h, CONST_AA));
+      h = AES.ecbEncrypt(h, CONST_55);
+    }
+    
+    return plaintexts;
+  }
+  
+  /**
+   * Generate LRP updated keys for a key
+   * @param {Buffer} key - 16-byte LRP key
+   * @param {number} count - Number of updated keys to generate
+   * @returns {Buffer[]} Array of updated keys
+   */
+  static generateUpdatedKeys(key, count = 4) {
+    this._validateKey(key);
+    
+    if (!Number.isInteger(count) || count < 1) {
+      throw new ValidationError('Updated key count must be a positive integer', 'count', count, '>=1');
+    }
+    
+    const updatedKeys = [];
+    let h = AES.ecbEncrypt(key, CONST_AA);
+    
+    for (let i = 0; i < count; i++) {
+      updatedKeys.push(AES.ecbEncrypt(h, CONST_AA));
+      h = AES.ecbEncrypt(h, CONST_55);
+    }
+    
+    return updatedKeys;
+  }
+  
+  /**
+   * Evaluate the LRP function over the nibbles of an input
+   * @param {Buffer[]} plaintexts - LRP plaintexts from generatePlaintexts()
+   * @param {Buffer} updatedKey - 16-byte updated key
+   * @param {Buffer} input - Input processed nibble by nibble, most significant first
+   * @param {boolean} final - Apply the final encryption of the zero block
+   * @returns {Buffer} 16-byte LRP output
+   */
+  static evalLRP(plaintexts, updatedKey, input, final = true) {
+    if (!Array.isArray(plaintexts) || plaintexts.length !== NIBBLE_COUNT) {
+      throw new ValidationError('Plaintexts must be an array of 16 blocks', 'plaintexts', plaintexts?.length, NIBBLE_COUNT);
+    }
+    
+    this._validateKey(updatedKey, 'updatedKey');
+    
+    if (!Buffer.isBuffer(input)) {
+      throw new ValidationError('Input must be a Buffer', 'input', typeof input, 'Buffer');
+    }
+    
+    let y = updatedKey;
+    
+    for (const byte of input) {
+      y = AES.ecbEncrypt(y, plaintexts[byte >> 4]);
+      y = AES.ecbEncrypt(y, plaintexts[byte & 0x0F]);
+    }
+    
+    if (final) {
+      y = AES.ecbEncrypt(y, CONST_00);
+    }
+    
+    return y;
+  }
+  
+  /**
+   * LRICB Encryption
+   * @param {Buffer} key - 16-byte LRP key
+   * @param {Buffer} data - Data to encrypt
+   * @param {Buffer} counter - Encryption counter, incremented per block
+   * @param {Object} options - Optional configuration (padding: 'iso9797m2' or 'none', updatedKeyIndex)
+   * @returns {Buffer} Encrypted data
+   */
+  static lricbEncrypt(key, data, counter, options = {}) {
+    try {
+      const { padding = 'iso9797m2', updatedKeyIndex = 0 } = options;
+      
+      if (!Buffer.isBuffer(data)) {
+        throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
+      }
+      
+      this._validateCounter(counter);
+      
+      if (!['iso9797m2', 'none'].includes(padding)) {
+        throw new ValidationError('Padding must be one of: iso9797m2, none', 'padding', padding);
+      }
+      
+      const plaintext = AES.pad(data, padding);
+      
+      const { plaintexts, updatedKey } = this._expandKey(key, updatedKeyIndex);
+      const blockCounter = Buffer.from(counter);
+      const encrypted = Buffer.alloc(plaintext.length);
+      
+      for (let offset = 0; offset < plaintext.length; offset += BLOCK_SIZE) {
+        const blockKey = this.evalLRP(plaintexts, updatedKey, blockCounter, true);
+        AES.ecbEncrypt(blockKey, plaintext.slice(offset, offset + BLOCK_SIZE)).copy(encrypted, offset);
+        this._incrementCounter(blockCounter);
+      }
+      
+      return encrypted;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`LRICB encryption failed: ${error.message}`, 'ENCRYPTION_FAILURE');
+    }
+  }
+  
+  /**
+   * LRICB Decryption
+   * @param {Buffer} key - 16-byte LRP key
+   * @param {Buffer} data - Data to decrypt (must be 16-byte aligned)
+   * @param {Buffer} counter - Encryption counter, incremented per block
+   * @param {Object} options - Optional configuration (padding: 'iso9797m2' or 'none', updatedKeyIndex)
+   * @returns {Buffer} Decrypted data
+   */
+  static lricbDecrypt(key, data, counter, options = {}) {
+    try {
+      const { padding = 'iso9797m2', updatedKeyIndex = 0 } = options;
+      
+      if (!Buffer.isBuffer(data)) {
+        throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
+      }
+      
+      if (data.length === 0 || data.length % BLOCK_SIZE !== 0) {
+        throw new ValidationError('Data length must be a non-zero multiple of 16 bytes', 'data', data.length, 'multiple of 16');
+      }
+      
+      if (!['iso9797m2', 'none'].includes(padding)) {
+        throw new ValidationError('Padding must be one of: iso9797m2, none', 'padding', padding);
+      }
+      
+      this._validateCounter(counter);
+      
+      const { plaintexts, updatedKey } = this._expandKey(key, updatedKeyIndex);
+      const blockCounter = Buffer.from(counter);
+      const decrypted = Buffer.alloc(data.length);
+      
+      for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+        const blockKey = this.evalLRP(plaintexts, updatedKey, blockCounter, true);
+        AES.ecbDecrypt(blockKey, data.slice(offset, offset + BLOCK_SIZE)).copy(decrypted, offset);
+        this._incrementCounter(blockCounter);
+      }
+      
+      return AES.unpad(decrypted, padding);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`LRICB decryption failed: ${error.message}`, 'DECRYPTION_FAILURE');
+    }
+  }
+  
+  /**
+   * Calculate LRP-CMAC for given data
+   * @param {Buffer} key - 16-byte LRP key
+   * @param {Buffer} data - Data to authenticate
+   * @param {Object} options - Optional configuration (updatedKeyIndex)
+   * @returns {Buffer} 16-byte LRP-CMAC value
+   */
+  static cmac(key, data, options = {}) {
+    try {
+      const { updatedKeyIndex = 0 } = options;
+      
+      if (!Buffer.isBuffer(data)) {
+        throw new ValidationError('Data must be a Buffer', 'data', typeof data, 'Buffer');
+      }
+      
+      const { plaintexts, updatedKey } = this._expandKey(key, updatedKeyIndex);
+      
+      const l = this.evalLRP(plaintexts, updatedKey, CONST_00, true);
+      const k1 = CMAC._doubleBlock(l);
+      const k2 = CMAC._doubleBlock(k1);
+      
+      const blockCount = Math.max(1, Math.ceil(data.length / BLOCK_SIZE));
+      const lastComplete = data.length > 0 && data.length % BLOCK_SIZE === 0;
+      
+      let y = Buffer.alloc(BLOCK_SIZE, 0x00);
+      
+      for (let i = 0; i < blockCount - 1; i++) {
+        y = this._xor(y, data.slice(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE));
+        y = this.evalLRP(plaintexts, updatedKey, y, true);
+      }
+      
+      const lastBlock = Buffer.alloc(BLOCK_SIZE, 0x00);
+      const lastData = data.slice((blockCount - 1) * BLOCK_SIZE);
+      lastData.copy(lastBlock, 0);
+      
+      if (lastComplete) {
+        y = this._xor(this._xor(y, lastBlock), k1);
+      } else {
+        lastBlock[lastData.length] = 0x80;
+        y = this._xor(this._xor(y, lastBlock), k2);
+      }
+      
+      return this.evalLRP(plaintexts, updatedKey, y, true);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new SecurityError(`LRP CMAC calculation failed: ${error.message}`, 'CMAC_CALCULATION_FAILURE');
+    }
+  }
+  
+  /**
+   * Generate plaintexts and select an updated key
+   * @param {Buffer} key - 16-byte LRP key
+   * @param {number} updatedKeyIndex - Index of the updated key to use
+   * @returns {Object} Plaintexts and the selected updated key
+   */
+  static _expandKey(key, updatedKeyIndex) {
+    if (!Number.isInteger(updatedKeyIndex) || updatedKeyIndex < 0) {
+      throw new ValidationError('Updated key index must be a non-negative integer', 'updatedKeyIndex', updatedKeyIndex, '>=0');
+    }
+    
+    const plaintexts = this.generatePlaintexts(key);
+    const updatedKeys = this.generateUpdatedKeys(key, updatedKeyIndex + 1);
+    
+    return { plaintexts, updatedKey: updatedKeys[updatedKeyIndex] };
+  }
+  
+  /**
+   * Increment a big-endian counter in place, wrapping around at its width
+   * @param {Buffer} counter - Counter to increment
+   */
+  static _incrementCounter(counter) {
+    for (let i = counter.length - 1; i >= 0; i--) {
+      counter[i] = (counter[i] + 1) & 0xFF;
+      if (counter[i] !== 0) {
+        break;
+      }
+    }
+  }
+  
+  /**
+   * XOR two blocks of equal length
+   * @param {Buffer} a - First block
+   * @param {Buffer} b - Second block
+   * @returns {Buffer} XOR result
+   */
+  static _xor(a, b) {
+    const result = Buffer.alloc(a.length);
+    for (let i = 0; i < a.length; i++) {
+      result[i] = a[i] ^ b[i];
+    }
+    return result;
+  }
+  
+  /**
+   * Validate a 16-byte key
+   * @param {Buffer} key - Key to validate
+   * @param {string} field - Field name for error details
+   */
+  static _validateKey(key, field = 'key') {
+    if (!Buffer.isBuffer(key) || key.length !== BLOCK_SIZE) {
+      throw new ValidationError('Key must be a 16-byte Buffer', field, key?.length, BLOCK_SIZE);
+    }
+  }
+  
+  /**
+   * Validate an LRICB counter
+   * @param {Buffer} counter - Counter to validate
+   */
+  static _validateCounter(counter) {
+    if (!Buffer.isBuffer(counter) || counter.length === 0 || counter.length > BLOCK_SIZE) {
+      throw new ValidationError('Counter must be a Buffer of 1 to 16 bytes', 'counter', counter?.length, '1-16');
+    }
+  }
+}
+
+module.exports = LRP;
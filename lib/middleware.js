@@ -0,0 +1,143 @@
+/**
+ * SUN Verification Middleware
+ *
+ * Connect-style (req, res, next) middleware that verifies the SUN message in the request
+ * URL and attaches the verified scan to the request. Only the plain Node.js request and
+ * response APIs are used, so it runs under Express, Connect and bare http servers alike.
+ */
+
+const Decoder = require('./decoder');
+const { ValidationError } = require('./error-types');
+
+/**
+ * SUN Verification Middleware Factory
+ */
+class SunMiddleware {
+
+  /**
+   * Create a verification middleware
+   * @param {string|KeyHandle|KeyProvider|Array<Object>|Decoder} masterKey - Decoder key argument, or a ready Decoder
+   * @param {Object} options - Decoder options (including replayStore, replayPolicy and kcv) plus middleware options:
+   *   property ('ntag424'), baseUrl, failureStatus (number or function of the result, default 401),
+   *   replayStatus (default failureStatus) and onFailure(req, res, result) to replace the JSON response
+   * @returns {Function} Middleware (req, res, next) returning a Promise
+   */
+  static create(masterKey, options = {}) {
+    const {
+      property = 'ntag424',
+      baseUrl = null,
+      failureStatus = 401,
+      replayStatus = failureStatus,
+      onFailure = null,
+      ...decoderOptions
+    } = options;
+    
+    this._validateOptions({ property, baseUrl, failureStatus, replayStatus, onFailure });
+    
+    const decoder = masterKey instanceof Decoder ? masterKey : new Decoder(masterKey, decoderOptions);
+    
+    return async (req, res, next) => {
+      let result;
+      
+      try {
+        result = await decoder.verify(this.requestUrl(req, baseUrl));
+      } catch (error) {
+        result = { success: false, error: error.message, errorCode: error.code, errorType: error.name };
+      }
+      
+      // decrypt() reports a bad CMAC as a successful decryption with cmacValid: false
+      if (result.success && result.cmacValid === false) {
+        result = { ...result, success: false, error: 'CMAC verification failed', errorCode: 'CMAC_INVALID' };
+      }
+      
+      if (result.success) {
+        req[property] = result;
+        return next ? next() : undefined;
+      }
+
+      try {
+        if (onFailure) {
+          return await onFailure(req, res, result);
+        }
+        
+        this._sendFailure(res, result, result.errorCode === 'REPLAY_DETECTED' ? replayStatus : failureStatus);
+      } catch (error) {
+        if (next) {
+          return next(error);
+        }
+        this._sendFailure(res, { error: 'Internal error', errorCode: 'MIDDLEWARE_ERROR' }, 500);
+      }
+    };
+  }
+
+  /**
+   * Rebuild the absolute URL the tag produced from a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {string|null} baseUrl - Scheme and host to use instead of the request's own, e.g. behind a proxy
+   * @returns {string} Absolute URL
+   */
+  static requestUrl(req, baseUrl = null) {
+    // Express rewrites req.url inside mounted routers; originalUrl keeps the full path
+    const path = req.originalUrl || req.url || '/';
+    
+    if (baseUrl) {
+      return `${baseUrl.replace(/\/+$/, '')}${path}`;
+    }
+    
+    const protocol = req.protocol || (req.socket && req.socket.encrypted ? 'https' : 'http');
+    const host = (req.headers && req.headers.host) || 'localhost';
+    
+    return `${protocol}://${host}${path}`;
+  }
+
+  /**
+   * Send a JSON failure response
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} result - Failed verification result
+   * @param {number|Function} status - Status code, or a function of the result returning one
+   */
+  static _sendFailure(res, result, status) {
+    if (res.headersSent) {
+      return;
+    }
+    
+    const body = {
+      success: false,
+      error: result.error,
+      errorCode: result.errorCode,
+      details: result.details
+    };
+    
+    res.statusCode = typeof status === 'function' ? status(result) : status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Validate middleware options
+   * @param {Object} options - Middleware options
+   */
+  static _validateOptions(options) {
+    const { property, baseUrl, failureStatus, replayStatus, onFailure } = options;
+    
+    if (typeof property !== 'string' || property.length === 0) {
+      throw new ValidationError('property must be a non-empty string', 'property', property);
+    }
+    
+    if (baseUrl !== null && (typeof baseUrl !== 'string' || !/^https?:\/\/[^/]+/.test(baseUrl))) {
+      throw new ValidationError('baseUrl must be an http(s) URL such as https://example.com', 'baseUrl', baseUrl);
+    }
+    
+    for (const [field, status] of [['failureStatus', failureStatus], ['replayStatus', replayStatus]]) {
+      if (typeof status !== 'function' && (!Number.isInteger(status) || status < 400 || status > 599)) {
+        throw new ValidationError(`${field} must be a 4xx/5xx status code or a function`, field, status, '400-599');
+      }
+    }
+    
+    if (onFailure !== null && typeof onFailure !== 'function') {
+      throw new ValidationError('onFailure must be a function', 'onFailure', typeof onFailure);
+    }
+  }
+}
+
+module.exports = SunMiddleware;
@@ -0,0 +1,480 @@
+/**
+ * Replay Protection for NTAG424 SUN Messages
+ * 
+ * Tracks the accepted SDMReadCtr values per UID and rejects counters that the
+ * replay policy does not allow. Counters live in a store behind a small async adapter interface, with
+ * in-memory and crash-safe JSON file implementations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, SecurityError, ReplayError } = require('./error-types');
+
+/**
+ * Counter Store - async adapter interface for read-counter persistence
+ * 
+ * Implementations must provide get() and set() for the per-UID counter record.
+ * compareAndSet() (strict policy) and update() (other policies) are serialized per
+ * UID within this process; stores shared between processes should override them
+ * with an atomic operation or transaction of the backing database.
+ */
+class CounterStore {
+  constructor() {
+    this._locks = new Map();
+  }
+
+  /**
+   * Get the counter record for a UID
+   * @param {string} uid - Tag UID as uppercase hex
+   * @returns {Promise<Object|number|null>} Counter record, or null if unknown
+   */
+  async get(uid) {
+    throw new SecurityError('CounterStore.get() is not implemented', 'STORE_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Save the counter record for a UID
+   * @param {string} uid - Tag UID as uppercase hex
+   * @param {Object|number} record - Counter record (plain JSON-serializable object), or
+   *   the bare counter stored by compareAndSet()
+   * @returns {Promise<void>}
+   */
+  async set(uid, record) {
+    throw new SecurityError('CounterStore.set() is not implemented', 'STORE_NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Store a counter only if it is greater than the last accepted one
+   * @param {string} uid - Tag UID as uppercase hex
+   * @param {number} counter - Counter to record
+   * @returns {Promise<Object>} Object containing accepted and lastCounter
+   */
+  async compareAndSet(uid, counter) {
+    return this._withLock(uid, async () => {
+      const record = ReplayGuard._normalizeRecord(await this.get(uid));
+      const lastCounter = record ? record.counter : null;
+      
+      if (lastCounter !== null && counter <= lastCounter) {
+        return { accepted: false, lastCounter };
+      }
+      
+      await this.set(uid, counter);
+      return { accepted: true, lastCounter };
+    });
+  }
+
+  /**
+   * Read, modify and write the record for a UID as one step
+   * @param {string} uid - Tag UID as uppercase hex
+   * @param {Function} updater - Receives the current record and returns { record, result };
+   *   the record is saved unless it is null
+   * @returns {Promise<*>} The updater's result
+   */
+  async update(uid, updater) {
+    return this._withLock(uid, async () => {
+      const { record, result } = updater(await this.get(uid));
+      
+      if (record !== null) {
+        await this.set(uid, record);
+      }
+      
+      return result;
+    });
+  }
+
+  /**
+   * Run an operation after all pending operations for the same UID
+   * @param {string} uid - Tag UID
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Operation result
+   */
+  async _withLock(uid, operation) {
+    const previous = this._locks.get(uid) || Promise.resolve();
+    const current = previous.then(operation, operation);
+    const settled = current.catch(() => {});
+    
+    this._locks.set(uid, settled);
+    settled.then(() => {
+      if (this._locks.get(uid) === settled) {
+        this._locks.delete(uid);
+      }
+    });
+    
+    return current;
+  }
+}
+
+/**
+ * Memory Counter Store - keeps counters in a Map for the lifetime of the process
+ */
+class MemoryCounterStore extends CounterStore {
+  constructor() {
+    super();
+    this.counters = new Map();
+  }
+
+  /**
+   * Get the counter record for a UID
+   * @param {string} uid - Tag UID as uppercase hex
+   * @returns {Promise<Object|null>} Counter record, or null if unknown
+   */
+  async get(uid) {
+    return this.counters.has(uid) ? this.counters.get(uid) : null;
+  }
+
+  /**
+   * Save the counter record for a UID
+   * @param {string} uid - Tag UID as uppercase hex
+   * @param {Object} record - Counter record
+   * @returns {Promise<void>}
+   */
+  async set(uid, record) {
+    this.counters.set(uid, record);
+  }
+}
+
+/**
+ * File Counter Store - persists counters as JSON
+ * 
+ * Every update writes a temporary file, flushes it to disk and renames it over the
+ * store file, so a crash leaves either the previous or the new state on disk.
+ */
+class FileCounterStore extends CounterStore {
+  /**
+   * @param {string} filePath - Path of the JSON store file
+   */
+  constructor(filePath) {
+    super();
+    
+    if (!filePath || typeof filePath !== 'string') {
+      throw new ValidationError('File path must be a non-empty string', 'filePath', filePath);
+    }
+    
+    this.filePath = path.resolve(filePath);
+    this.counters = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the counter record for a UID
+   * @param {string} uid - Tag UID as uppercase hex
+   * @returns {Promise<Object|null>} Counter record, or null if unknown
+   */
+  async get(uid) {
+    const counters = await this._load();
+    return Object.prototype.hasOwnProperty.call(counters, uid) ? counters[uid] : null;
+  }
+
+  /**
+   * Save the counter record for a UID and persist the store
+   * @param {string} uid - Tag UID as uppercase hex
+   * @param {Object} record - Counter record
+   * @returns {Promise<void>}
+   */
+  async set(uid, record) {
+    await this._load();
+    await this._persist(uid, record);
+  }
+
+  /**
+   * Load the store file once
+   * @returns {Promise<Object>} Counters by UID
+   */
+  async _load() {
+    if (this.counters) {
+      return this.counters;
+    }
+    
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new SecurityError(`Counter store read failed: ${error.message}`, 'STORE_READ_FAILURE');
+      }
+    }
+    
+    let counters = {};
+    if (content) {
+      try {
+        const parsed = JSON.parse(content);
+        counters = parsed.counters || {};
+      } catch (error) {
+        throw new SecurityError(`Counter store is corrupted: ${error.message}`, 'STORE_CORRUPTED', { filePath: this.filePath });
+      }
+    }
+    
+    // Another call may have finished loading while this one was reading
+    if (!this.counters) {
+      this.counters = counters;
+    }
+    return this.counters;
+  }
+
+  /**
+   * Queue an atomic write of the counters with one record changed
+   * 
+   * The change is applied to a copy, which replaces the cached counters only once
+   * it is on disk, so a failed write leaves memory and file in agreement.
+   * @param {string} uid - Tag UID as uppercase hex
+   * @param {Object} record - Counter record
+   * @returns {Promise<void>}
+   */
+  _persist(uid, record) {
+    const write = async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      const counters = { ...this.counters, [uid]: record };
+      const content = JSON.stringify({ version: 1, counters }, null, 2);
+      
+      const handle = await fs.promises.open(tempPath, 'w', 0o600);
+      try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      
+      await fs.promises.rename(tempPath, this.filePath);
+      this.counters = counters;
+    };
+    
+    const result = this._writeQueue.then(write, write);
+    this._writeQueue = result.catch(() => {});
+    
+    return result.catch(error => {
+      throw new SecurityError(`Counter store write failed: ${error.message}`, 'STORE_WRITE_FAILURE');
+    });
+  }
+}
+
+/**
+ * Replay Guard - rejects SUN messages whose read counter is not acceptable
+ * 
+ * Policies:
+ * - `{ type: 'strict' }` - the counter must be greater than the last one (default)
+ * - `{ type: 'duplicates', maxDuplicates, withinSeconds }` - the last counter may be
+ *   presented again up to maxDuplicates times within withinSeconds of its first use
+ * - `{ type: 'window', windowSize }` - counters up to windowSize below the highest one
+ *   are accepted once each, for scans that arrive out of order
+ */
+class ReplayGuard {
+  /**
+   * @param {CounterStore} store - Counter store, defaults to an in-memory store
+   * @param {Object} policy - Replay policy, defaults to strict
+   */
+  constructor(store = new MemoryCounterStore(), policy = { type: 'strict' }) {
+    ReplayGuard.validatePolicy(policy);
+    ReplayGuard.validateStore(store, policy);
+    this.store = store;
+    this.policy = { ...policy };
+  }
+
+  /**
+   * Check a decrypted UID and counter and record the counter if it is accepted
+   * @param {string} uid - Tag UID as hex
+   * @param {number} counter - Decrypted read counter
+   * @returns {Promise<Object>} Verdict with accepted, rule, uid, counter and lastCounter
+   */
+  async check(uid, counter) {
+    if (!uid || typeof uid !== 'string') {
+      throw new ValidationError('Replay protection requires a mirrored UID', 'uid', uid);
+    }
+    
+    if (!Number.isInteger(counter) || counter < 0) {
+      throw new ValidationError('Replay protection requires a mirrored read counter', 'readCounter', counter);
+    }
+    
+    const normalizedUid = uid.toUpperCase();
+    const now = Date.now();
+    
+    const verdict = this.policy.type === 'strict'
+      ? await this._checkStrict(normalizedUid, counter)
+      : await this._checkWithPolicy(normalizedUid, counter, now);
+    
+    if (!verdict.accepted) {
+      throw new ReplayError(
+        `Read counter ${counter} rejected by ${verdict.policy} replay policy (${verdict.rule})`,
+        normalizedUid,
+        { counter, lastCounter: verdict.lastCounter, rule: verdict.rule, policy: verdict.policy }
+      );
+    }
+    
+    return verdict;
+  }
+
+  /**
+   * Check a counter with the store's compareAndSet(), as stores written for the strict guard expect
+   * @param {string} uid - Normalized tag UID
+   * @param {number} counter - Decrypted read counter
+   * @returns {Promise<Object>} Verdict
+   */
+  async _checkStrict(uid, counter) {
+    const { accepted, lastCounter } = await this.store.compareAndSet(uid, counter);
+    
+    let rule = 'counterNotIncreased';
+    if (accepted) {
+      rule = lastCounter === null ? 'firstSeen' : 'counterIncreased';
+    }
+    
+    return { accepted, rule, policy: 'strict', uid, counter, lastCounter };
+  }
+
+  /**
+   * Check a counter against a duplicates or window policy with the store's update()
+   * @param {string} uid - Normalized tag UID
+   * @param {number} counter - Decrypted read counter
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} Verdict
+   */
+  async _checkWithPolicy(uid, counter, now) {
+    return this.store.update(uid, current => {
+      const record = ReplayGuard._normalizeRecord(current);
+      const { accepted, rule, next } = this._evaluate(record, counter, now);
+      
+      return {
+        record: accepted ? next : null,
+        result: {
+          accepted,
+          rule,
+          policy: this.policy.type,
+          uid,
+          counter,
+          lastCounter: record ? record.counter : null
+        }
+      };
+    });
+  }
+
+  /**
+   * Apply the policy to a counter record
+   * @param {Object|null} record - Current record
+   * @param {number} counter - Presented counter
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} Object containing accepted, rule and the next record
+   */
+  _evaluate(record, counter, now) {
+    if (!record || counter > record.counter) {
+      const seen = this.policy.type === 'window'
+        ? [counter, ...(record ? record.seen : [])].filter(value => value > counter - this.policy.windowSize)
+        : [counter];
+      
+      return {
+        accepted: true,
+        rule: record ? 'counterIncreased' : 'firstSeen',
+        next: { counter, acceptedAt: now, duplicates: 0, seen }
+      };
+    }
+    
+    if (this.policy.type === 'duplicates' && counter === record.counter) {
+      if (now - record.acceptedAt > this.policy.withinSeconds * 1000) {
+        return { accepted: false, rule: 'duplicateWindowExpired' };
+      }
+      
+      if (record.duplicates >= this.policy.maxDuplicates) {
+        return { accepted: false, rule: 'duplicateLimitExceeded' };
+      }
+      
+      return {
+        accepted: true,
+        rule: 'duplicateAllowed',
+        next: { ...record, duplicates: record.duplicates + 1 }
+      };
+    }
+    
+    if (this.policy.type === 'window') {
+      if (counter <= record.counter - this.policy.windowSize) {
+        return { accepted: false, rule: 'outsideWindow' };
+      }
+      
+      if (record.seen.includes(counter)) {
+        return { accepted: false, rule: 'counterAlreadySeen' };
+      }
+      
+      return {
+        accepted: true,
+        rule: 'outOfOrderAllowed',
+        next: { ...record, seen: [...record.seen, counter] }
+      };
+    }
+    
+    return { accepted: false, rule: 'counterNotIncreased' };
+  }
+
+  /**
+   * Normalize a stored record, including bare counters stored by earlier versions
+   * @param {Object|number|null} record - Stored record
+   * @returns {Object|null} Record with counter, acceptedAt, duplicates and seen
+   */
+  static _normalizeRecord(record) {
+    if (record === null || record === undefined) {
+      return null;
+    }
+    
+    if (typeof record === 'number') {
+      return { counter: record, acceptedAt: 0, duplicates: 0, seen: [record] };
+    }
+    
+    return {
+      counter: record.counter,
+      acceptedAt: record.acceptedAt || 0,
+      duplicates: record.duplicates || 0,
+      seen: Array.isArray(record.seen) ? record.seen : [record.counter]
+    };
+  }
+
+  /**
+   * Validate that an object implements the counter store interface
+   * @param {Object} store - Store to validate
+   * @param {Object} policy - Replay policy; strict needs compareAndSet(), the others update()
+   */
+  static validateStore(store, policy = { type: 'strict' }) {
+    const methods = policy.type === 'strict' ? ['get', 'set', 'compareAndSet'] : ['get', 'set', 'update'];
+    
+    if (!store || methods.some(method => typeof store[method] !== 'function')) {
+      throw new ValidationError(
+        `Counter store must implement: ${methods.join(', ')}`,
+        'replayStore',
+        typeof store
+      );
+    }
+  }
+
+  /**
+   * Validate a replay policy
+   * @param {Object} policy - Policy to validate
+   */
+  static validatePolicy(policy) {
+    const validTypes = ['strict', 'duplicates', 'window'];
+    
+    if (!policy || !validTypes.includes(policy.type)) {
+      throw new ValidationError(
+        `Replay policy type must be one of: ${validTypes.join(', ')}`,
+        'replayPolicy',
+        policy?.type
+      );
+    }
+    
+    if (policy.type === 'duplicates') {
+      if (!Number.isInteger(policy.maxDuplicates) || policy.maxDuplicates < 1) {
+        throw new ValidationError('maxDuplicates must be a positive integer', 'replayPolicy.maxDuplicates', policy.maxDuplicates, '>=1');
+      }
+      
+      if (typeof policy.withinSeconds !== 'number' || !(policy.withinSeconds > 0)) {
+        throw new ValidationError('withinSeconds must be a positive number', 'replayPolicy.withinSeconds', policy.withinSeconds, '>0');
+      }
+    }
+    
+    if (policy.type === 'window') {
+      if (!Number.isInteger(policy.windowSize) || policy.windowSize < 1) {
+        throw new ValidationError('windowSize must be a positive integer', 'replayPolicy.windowSize', policy.windowSize, '>=1');
+      }
+    }
+  }
+}
+
+module.exports = {
+  CounterStore,
+  MemoryCounterStore,
+  FileCounterStore,
+  ReplayGuard
+};
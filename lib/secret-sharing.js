@@ -0,0 +1,229 @@
+/**
+ * Shamir Secret Sharing for Master Keys
+ *
+ * Splits a 16-byte key into N shares so that any M of them recombine it, with every
+ * byte shared independently over GF(256) (AES polynomial x^8 + x^4 + x^3 + x + 1).
+ * Shares are printable strings carrying a checksum and the KCV of the key, so a
+ * mistyped or foreign share is rejected before the key is used.
+ */
+
+const crypto = require('crypto');
+const KeyWrap = require('./key-wrap');
+const KCV = require('./kcv');
+const { MemoryManager } = require('./secure-memory');
+const { ValidationError, SecurityError } = require('./error-types');
+
+const SHARE_PREFIX = 'NTAG424-SSS1';
+const SHARE_PATTERN = /^NTAG424-SSS1-([0-9A-F]{8})-([0-9A-F]{2})-([0-9A-F]{2})-([0-9A-F]{6})-([0-9A-F]{32})-([0-9A-F]{8})$/;
+
+// Exponent and logarithm tables for GF(256) with generator 0x03
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ ((x & 0x80) ? 0x11B : 0);
+}
+
+/**
+ * Secret Sharing Operations
+ */
+class SecretSharing {
+
+  /**
+   * Split a key into shares
+   * @param {string|Buffer} key - Key as 32-character hex string or 16-byte Buffer
+   * @param {Object} options - Share configuration (shares: N, threshold: M)
+   * @returns {Array<string>} N share strings
+   */
+  static split(key, options = {}) {
+    const { shares, threshold } = options;
+    
+    if (!Number.isInteger(shares) || shares < 2 || shares > 255) {
+      throw new ValidationError('Share count must be an integer from 2 to 255', 'shares', shares, '2-255');
+    }
+    
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+      throw new ValidationError('Threshold must be an integer from 2 to the share count', 'threshold', threshold, `2-${shares}`);
+    }
+    
+    const keyBuffer = KeyWrap._toKeyBuffer(key);
+    const coefficients = crypto.randomBytes(keyBuffer.length * (threshold - 1));
+    
+    try {
+      const setId = crypto.randomBytes(4).toString('hex').toUpperCase();
+      const kcv = KCV.calculate(keyBuffer);
+      const result = [];
+      
+      for (let x = 1; x <= shares; x++) {
+        const y = Buffer.alloc(keyBuffer.length);
+        
+        for (let b = 0; b < keyBuffer.length; b++) {
+          // Horner evaluation of secret + c1*x + ... + c(M-1)*x^(M-1)
+          let value = 0;
+          for (let c = threshold - 2; c >= 0; c--) {
+            value = this._mul(value, x) ^ coefficients[b * (threshold - 1) + c];
+          }
+          y[b] = this._mul(value, x) ^ keyBuffer[b];
+        }
+        
+        result.push(this._formatShare(setId, threshold, x, kcv, y));
+        y.fill(0);
+      }
+      
+      return result;
+    } finally {
+      keyBuffer.fill(0);
+      coefficients.fill(0);
+    }
+  }
+
+  /**
+   * Recombine a key from shares
+   * @param {Array<string>} shares - At least threshold share strings from the same split
+   * @returns {string} Key as 32-character uppercase hex string
+   */
+  static combine(shares) {
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new ValidationError('Shares must be a non-empty array', 'shares', typeof shares);
+    }
+    
+    const parsed = shares.map(share => this.parseShare(share));
+    const [first] = parsed;
+    
+    for (const share of parsed) {
+      if (share.setId !== first.setId || share.threshold !== first.threshold || share.kcv !== first.kcv) {
+        throw new ValidationError('Shares come from different splits', 'shares', `set ${share.setId}`, `set ${first.setId}`);
+      }
+    }
+    
+    const indexes = parsed.map(share => share.index);
+    if (new Set(indexes).size !== indexes.length) {
+      throw new ValidationError('Each share may be given only once', 'shares', indexes);
+    }
+    
+    if (parsed.length < first.threshold) {
+      throw new ValidationError(
+        `At least ${first.threshold} shares are required, got ${parsed.length}`,
+        'shares',
+        parsed.length,
+        `>=${first.threshold}`
+      );
+    }
+    
+    const keyBuffer = Buffer.alloc(16);
+    
+    try {
+      // Lagrange interpolation at x = 0
+      for (let i = 0; i < parsed.length; i++) {
+        let basis = 1;
+        for (let j = 0; j < parsed.length; j++) {
+          if (i !== j) {
+            basis = this._mul(basis, this._div(parsed[j].index, parsed[i].index ^ parsed[j].index));
+          }
+        }
+        
+        for (let b = 0; b < keyBuffer.length; b++) {
+          keyBuffer[b] ^= this._mul(parsed[i].data[b], basis);
+        }
+      }
+      
+      if (!KCV.verify(keyBuffer, first.kcv)) {
+        throw new SecurityError('Recombined key does not match the share KCV', 'KCV_MISMATCH', { expectedKcv: first.kcv });
+      }
+      
+      return keyBuffer.toString('hex').toUpperCase();
+    } finally {
+      keyBuffer.fill(0);
+      parsed.forEach(share => share.data.fill(0));
+    }
+  }
+
+  /**
+   * Parse and check a single share
+   * @param {string} share - Share string
+   * @returns {Object} Share fields (setId, threshold, index, kcv, data)
+   */
+  static parseShare(share) {
+    const normalized = typeof share === 'string' ? share.trim().toUpperCase() : '';
+    const match = normalized.match(SHARE_PATTERN);
+    
+    if (!match) {
+      throw new ValidationError('Share is not in the expected format', 'share', '[REDACTED]', `${SHARE_PREFIX}-...`);
+    }
+    
+    const [, setId, threshold, index, kcv, data, checksum] = match;
+    const body = normalized.slice(0, normalized.lastIndexOf('-'));
+    
+    if (!MemoryManager.timingSafeEqual(Buffer.from(this._checksum(body), 'hex'), Buffer.from(checksum, 'hex'))) {
+      throw new SecurityError(`Share ${parseInt(index, 16)} failed its checksum`, 'SHARE_CHECKSUM_MISMATCH', { index: parseInt(index, 16) });
+    }
+    
+    const parsed = {
+      setId,
+      threshold: parseInt(threshold, 16),
+      index: parseInt(index, 16),
+      kcv,
+      data: Buffer.from(data, 'hex')
+    };
+    
+    if (parsed.index === 0 || parsed.threshold < 2) {
+      throw new ValidationError('Share index and threshold are out of range', 'share', `${parsed.index}/${parsed.threshold}`);
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Format a share string
+   * @param {string} setId - Identifier shared by all shares of one split
+   * @param {number} threshold - Shares needed to recombine
+   * @param {number} index - Share x-coordinate (1-255)
+   * @param {string} kcv - KCV of the shared key
+   * @param {Buffer} data - Share y-values
+   * @returns {string} Share string
+   */
+  static _formatShare(setId, threshold, index, kcv, data) {
+    const hex = n => n.toString(16).toUpperCase().padStart(2, '0');
+    const body = `${SHARE_PREFIX}-${setId}-${hex(threshold)}-${hex(index)}-${kcv}-${data.toString('hex').toUpperCase()}`;
+    return `${body}-${this._checksum(body)}`;
+  }
+
+  /**
+   * Share checksum: first 4 bytes of SHA-256 over the share body
+   * @param {string} body - Share string without checksum
+   * @returns {string} Checksum as uppercase hex
+   */
+  static _checksum(body) {
+    return crypto.createHash('sha256').update(body, 'ascii').digest().slice(0, 4).toString('hex').toUpperCase();
+  }
+
+  /**
+   * Multiply in GF(256)
+   * @param {number} a - Field element
+   * @param {number} b - Field element
+   * @returns {number} Product
+   */
+  static _mul(a, b) {
+    if (a === 0 || b === 0) {
+      return 0;
+    }
+    return EXP[LOG[a] + LOG[b]];
+  }
+
+  /**
+   * Divide in GF(256)
+   * @param {number} a - Dividend
+   * @param {number} b - Non-zero divisor
+   * @returns {number} Quotient
+   */
+  static _div(a, b) {
+    if (a === 0) {
+      return 0;
+    }
+    return EXP[LOG[a] + 255 - LOG[b]];
+  }
+}
+
+module.exports = SecretSharing;
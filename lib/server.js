@@ -0,0 +1,434 @@
+/**
+ * Standalone HTTP Verification Server
+ *
+ * Exposes the Decoder (and, for test environments, the Encoder) over HTTP using only the
+ * Node.js http module, for services that cannot embed the library:
+ *
+ *   POST /verify   { "url": "https://..." } or { "picc", "enc", "cmac", ... }
+ *   POST /encrypt  { "uid", "readCounter", "fileData", "baseUrl" } (only when enableEncrypt is set)
+ *   GET  /health
+ *
+ * Run with `node lib/server.js`; configuration is read from the JSON file named by
+ * NTAG424_CONFIG and from NTAG424_* environment variables, which take precedence.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const Encoder = require('./encoder');
+const Decoder = require('./decoder');
+const KeyWrap = require('./key-wrap');
+const { FileCounterStore, MemoryCounterStore } = require('./replay-guard');
+const { ValidationError } = require('./error-types');
+
+const DEFAULT_CONFIG = {
+  port: 8424,
+  host: '127.0.0.1',
+  masterKey: null,
+  wrappedKey: null,
+  keyPassphrase: null,
+  kek: null,
+  kcv: null,
+  decoder: {},
+  replayStoreFile: null,
+  replayPolicy: null,
+  enableEncrypt: false,
+  maxBodyBytes: 16 * 1024
+};
+
+// Environment variable -> [config key, parser]
+const ENV_MAP = {
+  NTAG424_PORT: ['port', Number],
+  NTAG424_HOST: ['host', String],
+  NTAG424_MASTER_KEY: ['masterKey', String],
+  NTAG424_WRAPPED_KEY: ['wrappedKey', String],
+  NTAG424_KEY_PASSPHRASE: ['keyPassphrase', String],
+  NTAG424_KEK: ['kek', String],
+  NTAG424_KCV: ['kcv', String],
+  NTAG424_REPLAY_STORE: ['replayStoreFile', String],
+  NTAG424_ENABLE_ENCRYPT: ['enableEncrypt', value => ['1', 'true', 'yes'].includes(value.toLowerCase())],
+  NTAG424_MAX_BODY_BYTES: ['maxBodyBytes', Number]
+};
+
+// Decoder options settable from the environment
+const ENV_DECODER_MAP = {
+  NTAG424_SDM_PROFILE: 'sdmProfile',
+  NTAG424_SUN_MODE: 'sunMode',
+  NTAG424_CRYPTO_MODE: 'cryptoMode',
+  NTAG424_KEY_DERIVATION_METHOD: 'keyDerivationMethod'
+};
+
+// HTTP status for each error code from lib/error-types.js
+const STATUS_BY_CODE = {
+  VALIDATION_ERROR: 400,
+  SDM_PROFILE_ERROR: 400,
+  CMAC_INVALID: 422,
+  SECURITY_ERROR: 401,
+  REPLAY_DETECTED: 409,
+  DECRYPTION_ERROR: 422,
+  ENCRYPTION_ERROR: 422
+};
+
+// Request fields accepted as decoder input in place of a URL
+const INPUT_FIELDS = ['picc', 'uid', 'enc', 'cmac', 'counter', 'tamper'];
+
+/**
+ * NTAG424 Verification Server
+ */
+class VerificationServer {
+
+  /**
+   * Create a new verification server
+   * @param {Object} config - Server configuration (see loadConfig())
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    
+    this._validateConfig();
+    
+    const { masterKey, wrappedKey, keyPassphrase, kek, kcv, replayStoreFile, replayPolicy } = this.config;
+    
+    const decoderOptions = { ...this.config.decoder, kcv };
+    if (replayStoreFile) {
+      decoderOptions.replayStore = replayStoreFile === ':memory:'
+        ? new MemoryCounterStore()
+        : new FileCounterStore(replayStoreFile);
+      
+      if (replayPolicy) {
+        decoderOptions.replayPolicy = replayPolicy;
+      }
+    }
+    
+    const key = wrappedKey
+      ? (keyPassphrase ? KeyWrap.unwrapWithPassphrase(wrappedKey, keyPassphrase) : KeyWrap.unwrapWithKek(wrappedKey, kek))
+      : masterKey;
+    
+    this.decoder = new Decoder(key, decoderOptions);
+    
+    // The encoder needs the key as hex; it is only kept when /encrypt is enabled
+    this.encryptKey = this.config.enableEncrypt
+      ? (Array.isArray(key) ? key[0].key : key)
+      : null;
+    
+    this.server = null;
+  }
+
+  /**
+   * Load configuration from a JSON file and NTAG424_* environment variables
+   * @param {Object} sources - Optional { file, env }; file defaults to env.NTAG424_CONFIG
+   * @returns {Object} Server configuration
+   */
+  static loadConfig(sources = {}) {
+    const { env = process.env } = sources;
+    const file = sources.file || env.NTAG424_CONFIG || null;
+    
+    let fileConfig = {};
+    if (file) {
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new ValidationError(`Cannot load server config: ${error.message}`, 'config', file);
+      }
+    }
+    
+    const config = { ...DEFAULT_CONFIG, ...fileConfig, decoder: { ...(fileConfig.decoder || {}) } };
+    
+    for (const [name, [key, parse]] of Object.entries(ENV_MAP)) {
+      if (env[name] !== undefined && env[name] !== '') {
+        config[key] = parse(env[name]);
+      }
+    }
+    
+    for (const [name, key] of Object.entries(ENV_DECODER_MAP)) {
+      if (env[name] !== undefined && env[name] !== '') {
+        config.decoder[key] = env[name];
+      }
+    }
+    
+    return config;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} Bound address { address, port }
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>} Resolves when the server is closed
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server = null;
+    });
+  }
+
+  /**
+   * Handle one request; usable as a plain http request listener
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>} Resolves when the response is sent
+   */
+  async handle(req, res) {
+    const path = (req.url || '/').split('?')[0];
+    const routes = {
+      '/health': { GET: () => this._health() },
+      '/verify': { POST: body => this._verify(body) },
+      '/encrypt': { POST: body => this._encrypt(body) }
+    };
+    
+    try {
+      const route = routes[path];
+      
+      if (!route || (path === '/encrypt' && !this.config.enableEncrypt)) {
+        return this._send(res, 404, { success: false, error: `No route for ${path}`, errorCode: 'NOT_FOUND' });
+      }
+      
+      if (!route[req.method]) {
+        res.setHeader('Allow', Object.keys(route).join(', '));
+        return this._send(res, 405, { success: false, error: `Method ${req.method} not allowed`, errorCode: 'METHOD_NOT_ALLOWED' });
+      }
+      
+      const body = req.method === 'POST' ? await this._readJson(req) : null;
+      const [status, payload] = await route[req.method](body);
+      
+      this._send(res, status, payload);
+    } catch (error) {
+      const status = error.status || STATUS_BY_CODE[error.code] || 500;
+      
+      // The rest of an oversized body is never read, so the connection cannot be reused
+      if (status === 413) {
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.socket.destroy());
+      }
+      
+      this._send(res, status, {
+        success: false,
+        error: status < 500 ? error.message : 'Internal server error',
+        errorCode: error.code || 'INTERNAL_ERROR',
+        errorType: error.name
+      });
+    }
+  }
+
+  /**
+   * GET /health
+   * @returns {Array} Status and payload
+   */
+  _health() {
+    return [200, {
+      status: 'ok',
+      version: require('../package.json').version,
+      sunMode: this.decoder.options.sunMode,
+      sdmProfile: this.decoder.options.sdmProfile,
+      replayProtection: Boolean(this.decoder.replayGuard),
+      encryptEnabled: this.config.enableEncrypt
+    }];
+  }
+
+  /**
+   * POST /verify
+   * @param {Object} body - { url } or PICC/ENC/CMAC fields
+   * @returns {Promise<Array>} Status and payload
+   */
+  async _verify(body) {
+    let input;
+    
+    if (typeof body.url === 'string') {
+      input = body.url;
+    } else {
+      input = {};
+      for (const field of INPUT_FIELDS) {
+        if (body[field] !== undefined) {
+          input[field] = String(body[field]);
+        }
+      }
+    }
+    
+    const result = await this.decoder.verify(input);
+    
+    if (!result.success) {
+      return [STATUS_BY_CODE[result.errorCode] || 422, {
+        success: false,
+        error: result.error,
+        errorCode: result.errorCode,
+        errorType: result.errorType,
+        details: result.details
+      }];
+    }
+    
+    if (result.cmacValid === false) {
+      return [422, { success: false, error: 'CMAC verification failed', errorCode: 'CMAC_INVALID', uid: result.uid }];
+    }
+    
+    // Session keys and raw decrypted blocks never leave the server
+    return [200, {
+      success: true,
+      uid: result.uid,
+      readCounter: result.readCounter,
+      cmacValid: result.cmacValid,
+      fileData: result.fileData
+        ? { ascii: result.fileData.ascii, hex: result.fileData.buffer.toString('hex').toUpperCase() }
+        : null,
+      tamper: result.tamper,
+      keyId: result.keyId,
+      keyVersion: result.keyVersion,
+      staleKey: result.staleKey,
+      replay: result.replay || null
+    }];
+  }
+
+  /**
+   * POST /encrypt
+   * @param {Object} body - { uid, readCounter, fileData, baseUrl, options }
+   * @returns {Array} Status and payload
+   */
+  _encrypt(body) {
+    const { uid, readCounter, fileData = null, baseUrl = null } = body;
+    const options = {
+      sdmProfile: this.decoder.options.sdmProfile,
+      sunMode: this.decoder.options.sunMode,
+      cryptoMode: this.decoder.options.cryptoMode,
+      keyDerivationMethod: this.decoder.options.keyDerivationMethod,
+      ...(body.options || {})
+    };
+    
+    const encrypted = Encoder.encrypt(this.encryptKey, uid, readCounter, fileData, options);
+    
+    return [200, {
+      success: true,
+      encryptedData: encrypted.encryptedData,
+      url: baseUrl ? Encoder.generateURL(encrypted, baseUrl) : null,
+      metadata: encrypted.metadata
+    }];
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   */
+  _readJson(req) {
+    const limit = this.config.maxBodyBytes;
+    
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      
+      req.on('data', chunk => {
+        size += chunk.length;
+        
+        if (size > limit) {
+          req.removeAllListeners('data');
+          req.pause();
+          
+          const error = new ValidationError(`Request body exceeds ${limit} bytes`, 'body', size, `<=${limit}`);
+          error.status = 413;
+          return reject(error);
+        }
+        
+        chunks.push(chunk);
+      });
+      
+      req.on('end', () => {
+        try {
+          const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+          
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('body must be a JSON object');
+          }
+          
+          resolve(body);
+        } catch (error) {
+          reject(new ValidationError(`Invalid JSON body: ${error.message}`, 'body', 'unparseable'));
+        }
+      });
+      
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - Status code
+   * @param {Object} payload - Response body
+   */
+  _send(res, status, payload) {
+    if (res.headersSent) {
+      return;
+    }
+    
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store'
+    });
+    res.end(body);
+  }
+
+  /**
+   * Validate the server configuration
+   */
+  _validateConfig() {
+    const { port, masterKey, wrappedKey, keyPassphrase, kek, maxBodyBytes, decoder } = this.config;
+    
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new ValidationError('port must be an integer from 0 to 65535', 'port', port, '0-65535');
+    }
+    
+    if (Boolean(masterKey) === Boolean(wrappedKey)) {
+      throw new ValidationError('Configure exactly one of masterKey or wrappedKey', 'masterKey', '[REDACTED]');
+    }
+    
+    if (wrappedKey && Boolean(keyPassphrase) === Boolean(kek)) {
+      throw new ValidationError('A wrappedKey needs exactly one of keyPassphrase or kek', 'wrappedKey', '[REDACTED]');
+    }
+    
+    if (!Number.isInteger(maxBodyBytes) || maxBodyBytes < 1) {
+      throw new ValidationError('maxBodyBytes must be a positive integer', 'maxBodyBytes', maxBodyBytes, '>=1');
+    }
+    
+    if (!decoder || typeof decoder !== 'object' || Array.isArray(decoder)) {
+      throw new ValidationError('decoder must be an object of Decoder options', 'decoder', typeof decoder);
+    }
+  }
+}
+
+if (require.main === module) {
+  let server;
+  
+  try {
+    server = new VerificationServer(VerificationServer.loadConfig());
+  } catch (error) {
+    console.error(`Invalid server configuration: ${error.message}`);
+    process.exit(1);
+  }
+  
+  server.start().then(({ address, port }) => {
+    console.log(`NTAG424 verification server listening on http://${address}:${port}`);
+  }).catch(error => {
+    console.error(`Server failed to start: ${error.message}`);
+    process.exit(1);
+  });
+  
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => server.stop().then(() => process.exit(0)));
+  }
+}
+
+module.exports = VerificationServer;
@@ -0,0 +1,128 @@
+/**
+ * Session Key Cache for NTAG424 Decoder
+ *
+ * Bounded least-recently-used cache of derived session keys. Zero-vector SUN messages
+ * always derive from the same master key, UID and counter, so expensive derivation
+ * methods such as PBKDF2 only need to run once per key. Cached keys live in
+ * SecureBuffers that are cleared when an entry is evicted or the cache is cleared.
+ */
+
+const { SecureBuffer } = require('./secure-memory');
+const { ValidationError } = require('./error-types');
+
+/**
+ * Session Key Cache
+ */
+class SessionKeyCache {
+  /**
+   * @param {number} maxSize - Maximum number of cached key pairs (0 disables the cache)
+   */
+  constructor(maxSize = 16) {
+    if (!Number.isInteger(maxSize) || maxSize < 0) {
+      throw new ValidationError('Session key cache size must be a non-negative integer', 'sessionKeyCacheSize', maxSize, '>=0');
+    }
+
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get cached session keys, deriving and caching them on a miss
+   * @param {string} keyId - Key ring entry the keys derive from
+   * @param {string} method - Key derivation method
+   * @param {Buffer} diversificationInput - Derivation input (UID and read counter)
+   * @param {Function} derive - Derivation returning { encKey, macKey, method }
+   * @returns {Object} Session keys { encKey, macKey, method }
+   */
+  get(keyId, method, diversificationInput, derive) {
+    if (this.maxSize === 0) {
+      this.misses++;
+      return derive();
+    }
+
+    const cacheKey = `${keyId}\u0000${method}\u0000${diversificationInput.toString('hex')}`;
+    const cached = this.entries.get(cacheKey);
+
+    if (cached) {
+      // Re-insert to mark the entry as most recently used
+      this.entries.delete(cacheKey);
+      this.entries.set(cacheKey, cached);
+      this.hits++;
+      return { encKey: cached.encKey.data, macKey: cached.macKey.data, method: cached.method };
+    }
+
+    this.misses++;
+    const sessionKeys = derive();
+
+    const entry = {
+      encKey: this._secureCopy(sessionKeys.encKey),
+      macKey: this._secureCopy(sessionKeys.macKey),
+      method: sessionKeys.method
+    };
+    sessionKeys.encKey.fill(0);
+    sessionKeys.macKey.fill(0);
+
+    this.entries.set(cacheKey, entry);
+
+    if (this.entries.size > this.maxSize) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      this._clearEntry(oldest);
+      this.evictions++;
+    }
+
+    return { encKey: entry.encKey.data, macKey: entry.macKey.data, method: entry.method };
+  }
+
+  /**
+   * Clear every cached key
+   */
+  clear() {
+    for (const entry of this.entries.values()) {
+      this._clearEntry(entry);
+    }
+    this.entries.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} { size, maxSize, hits, misses, evictions, hitRate }
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups
+    };
+  }
+
+  /**
+   * Copy a key into a SecureBuffer
+   * @param {Buffer} key - Derived key
+   * @returns {SecureBuffer} Secure copy
+   */
+  _secureCopy(key) {
+    const secure = new SecureBuffer(key.length);
+    key.copy(secure.data);
+    return secure;
+  }
+
+  /**
+   * Zeroise a cache entry
+   * @param {Object} entry - Cache entry
+   */
+  _clearEntry(entry) {
+    entry.encKey.clear();
+    entry.macKey.clear();
+  }
+}
+
+module.exports = SessionKeyCache;
@@ -31,10 +31,20 @@
 const KeyDerivation = require('./lib/key-derivation');
 const AES = require('./lib/aes');
 const CMAC = require('./lib/cmac');
+const LRP = require('./lib/lrp');
 const SDMConfig = require('./lib/sdm-config');
 const DataParser = require('./lib/data-parser');
 const Encoder = require('./lib/encoder');
 const Decoder = require('./lib/decoder');
+const { CounterStore, MemoryCounterStore, FileCounterStore, ReplayGuard } = require('./lib/replay-guard');
+const { KeyHandle, KeyProvider, SoftwareKeyProvider } = require('./lib/key-provider');
+const KeyWrap = require('./lib/key-wrap');
+const KCV = require('./lib/kcv');
+const SunMiddleware = require('./lib/middleware');
+const VerificationServer = require('./lib/server');
+const { BatchVerifier, BatchVerifyStream } = require('./lib/batch-verifier');
+const SecretSharing = require('./lib/secret-sharing');
+const DecoderPool = require('./lib/decoder-pool');
 
 /**
  * Main NTAG424Crypto class that combines all modules
@@ -56,12 +66,60 @@ class NTAG424Crypto {
   /** @type {CMAC} CMAC authentication */
   static CMAC = CMAC;
   
+  /** @type {LRP} LRP encryption and LRP-CMAC */
+  static LRP = LRP;
+  
   /** @type {DataParser} Data parsing utilities */
   static DataParser = DataParser;
   
   /** @type {Decoder} Data decryption engine */
   static Decoder = Decoder;
   
+  /** @type {ReplayGuard} Read-counter replay protection */
+  static ReplayGuard = ReplayGuard;
+  
+  /** @type {CounterStore} Base class for custom counter stores */
+  static CounterStore = CounterStore;
+  
+  /** @type {MemoryCounterStore} In-memory counter store */
+  static MemoryCounterStore = MemoryCounterStore;
+  
+  /** @type {FileCounterStore} Crash-safe JSON file counter store */
+  static FileCounterStore = FileCounterStore;
+  
+  /** @type {KeyProvider} Base class for key providers */
+  static KeyProvider = KeyProvider;
+  
+  /** @type {SoftwareKeyProvider} Key provider backed by an encrypted key file */
+  static SoftwareKeyProvider = SoftwareKeyProvider;
+  
+  /** @type {KeyHandle} Opaque reference to a provider-held key */
+  static KeyHandle = KeyHandle;
+  
+  /** @type {KeyWrap} Passphrase and RFC 3394 key wrapping */
+  static KeyWrap = KeyWrap;
+  
+  /** @type {SecretSharing} Shamir secret sharing for master keys */
+  static SecretSharing = SecretSharing;
+  
+  /** @type {KCV} Key check value calculation */
+  static KCV = KCV;
+  
+  /** @type {SunMiddleware} Connect-style SUN verification middleware */
+  static SunMiddleware = SunMiddleware;
+  
+  /** @type {VerificationServer} Standalone HTTP verification server */
+  static VerificationServer = VerificationServer;
+  
+  /** @type {BatchVerifier} Streaming batch verification helpers */
+  static BatchVerifier = BatchVerifier;
+  
+  /** @type {BatchVerifyStream} Transform stream verifying scan inputs */
+  static BatchVerifyStream = BatchVerifyStream;
+  
+  /** @type {DecoderPool} Worker-thread decoder pool */
+  static DecoderPool = DecoderPool;
+  
   /**
    * Get library version information
    * @returns {Object} Version and build information
@@ -83,7 +141,6 @@ class NTAG424Crypto {
   static validateDependencies() {
     const results = {
       crypto: false,
-      aesCmac: false,
       allValid: false,
       missing: []
     };
@@ -95,14 +152,7 @@ class NTAG424Crypto {
       results.missing.push('crypto (Node.js built-in)');
     }
     
-    try {
-      require('node-aes-cmac');
-      results.aesCmac = true;
-    } catch (error) {
-      results.missing.push('node-aes-cmac');
-    }
-    
-    results.allValid = results.crypto && results.aesCmac;
+    results.allValid = results.crypto;
     
     return results;
   }
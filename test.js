@@ -0,0 +1,88 @@
+/**
+ * NTAG424 Crypto Test Runner
+ *
+ * Loads every test/*.test.js file and runs the registered cases one after another.
+ * Test files register cases with test() and check results with Node's assert module,
+ * so the library keeps its zero-dependency install.
+ *
+ * Usage: node test.js [name filter]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, 'test');
+const TEST_TIMEOUT_MS = 10000;
+
+const tests = [];
+let currentFile = null;
+
+/**
+ * Register a test case
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body; may return a Promise
+ */
+function test(name, fn) {
+  tests.push({ name, fn, file: currentFile });
+}
+
+/**
+ * Run one test case with a timeout
+ * @param {Object} testCase - Registered test case
+ * @returns {Promise<void>} Resolves when the test passes
+ */
+function runCase(testCase) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${TEST_TIMEOUT_MS} ms`)), TEST_TIMEOUT_MS);
+  });
+
+  return Promise.race([Promise.resolve().then(() => testCase.fn()), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load the test files and run every case
+ * @param {string} filter - Only run test files whose name contains this text
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function run(filter = '') {
+  const files = fs.readdirSync(TEST_DIR)
+    .filter(name => name.endsWith('.test.js') && name.includes(filter))
+    .sort();
+
+  for (const name of files) {
+    currentFile = name;
+    require(path.join(TEST_DIR, name));
+  }
+  currentFile = null;
+
+  let failed = 0;
+
+  for (const testCase of tests) {
+    const label = `${testCase.file} › ${testCase.name}`;
+
+    try {
+      await runCase(testCase);
+      console.log(`  ✅ ${label}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ❌ ${label}`);
+      console.log(`     ${(error && error.stack ? error.stack : String(error)).split('\n').join('\n     ')}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  return failed;
+}
+
+module.exports = { test };
+
+if (require.main === module) {
+  run(process.argv[2]).then(failed => {
+    process.exitCode = failed > 0 ? 1 : 0;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
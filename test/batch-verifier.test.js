@@ -0,0 +1,116 @@
+/**
+ * Streaming batch verification tests
+ */
+
+const assert = require('assert');
+const { Readable } = require('stream');
+const { test } = require('../test');
+const { Encoder, Decoder, BatchVerifier, MemoryCounterStore } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const BASE_URL = 'https://example.com/tap';
+const OPTIONS = { timingAttackProtection: false };
+
+/**
+ * Build a tag URL
+ * @param {string} uid - Tag UID
+ * @param {number} counter - Read counter
+ * @returns {string} Tag URL
+ */
+function tap(uid, counter) {
+  return Encoder.generateURL(Encoder.encrypt(MASTER_KEY, uid, counter), BASE_URL);
+}
+
+/**
+ * Counter store whose lookups take longer for earlier UIDs
+ */
+class SlowStore extends MemoryCounterStore {
+  constructor(delays) {
+    super();
+    this.delays = delays;
+    this.completed = [];
+  }
+
+  async get(uid) {
+    await new Promise(resolve => setTimeout(resolve, this.delays[uid] || 0));
+    this.completed.push(uid);
+    return super.get(uid);
+  }
+}
+
+/**
+ * Collect all records of a batch run
+ * @param {AsyncIterable<Object>} batch - Batch results
+ * @returns {Promise<Array<Object>>} Records
+ */
+async function collect(batch) {
+  const records = [];
+  for await (const record of batch) {
+    records.push(record);
+  }
+  return records;
+}
+
+test('results keep input order under concurrency', async () => {
+  const uids = ['04000000000001', '04000000000002', '04000000000003', '04000000000004', '04000000000005'];
+  const store = new SlowStore(Object.fromEntries(uids.map((uid, i) => [uid, (uids.length - i) * 15])));
+  const decoder = new Decoder(MASTER_KEY, { ...OPTIONS, replayStore: store });
+
+  const records = await collect(BatchVerifier.verify(uids.map(uid => tap(uid, 1)), decoder, { concurrency: 4 }));
+
+  assert.deepStrictEqual(records.map(record => record.uid), uids);
+  assert.deepStrictEqual(records.map(record => record.line), [1, 2, 3, 4, 5]);
+  assert.notDeepStrictEqual(store.completed, uids, 'lookups should finish out of order');
+});
+
+test('line numbers count skipped blank lines in text streams', async () => {
+  const uid = '04AABBCCDDEEFF';
+  const log = [tap(uid, 1), '', '   ', tap(uid, 2), '', tap(uid, 3)].join('\n');
+
+  const batch = BatchVerifier.verify(Readable.from([Buffer.from(log)], { objectMode: false }), new Decoder(MASTER_KEY, OPTIONS));
+  const records = await collect(batch);
+
+  assert.deepStrictEqual(records.map(record => [record.line, record.readCounter]), [[1, 1], [4, 2], [6, 3]]);
+  assert.strictEqual(batch.stats.skipped, 3);
+});
+
+test('summary counts valid, invalid CMAC, replayed and malformed inputs', async () => {
+  const uid = '04AABBCCDDEEFF';
+  const valid = tap(uid, 5);
+  const { picc, cmac } = Encoder.encrypt(MASTER_KEY, uid, 6).encryptedData;
+  const badCmac = JSON.stringify({ picc, cmac: `${cmac.slice(0, -1)}${cmac.endsWith('0') ? '1' : '0'}` });
+  const inputs = [valid, tap(uid, 7), badCmac, valid, '{not json', 'cmac=00', tap(uid, 8)];
+
+  const decoder = new Decoder(MASTER_KEY, { ...OPTIONS, replayStore: new MemoryCounterStore() });
+  const stream = BatchVerifier.createStream(decoder, { concurrency: 1 });
+  const summary = new Promise(resolve => stream.on('summary', resolve));
+
+  Readable.from(inputs).pipe(stream);
+  const records = await collect(stream);
+
+  assert.deepStrictEqual(
+    records.map(record => record.status),
+    ['valid', 'valid', 'invalidCmac', 'replayed', 'malformed', 'malformed', 'valid']
+  );
+
+  const stats = await summary;
+  assert.deepStrictEqual(
+    { total: stats.total, valid: stats.valid, invalidCmac: stats.invalidCmac, replayed: stats.replayed, malformed: stats.malformed, failed: stats.failed },
+    { total: 7, valid: 3, invalidCmac: 1, replayed: 1, malformed: 2, failed: 0 }
+  );
+});
+
+test('maxErrors stops the batch with a DecryptionError', async () => {
+  const inputs = ['{bad', 'cmac=00', tap('04AABBCCDDEEFF', 1), '{bad', '{bad', tap('04AABBCCDDEEFF', 2)];
+  const records = [];
+
+  await assert.rejects(async () => {
+    for await (const record of BatchVerifier.verify(inputs, new Decoder(MASTER_KEY, OPTIONS), { maxErrors: 2, concurrency: 2 })) {
+      records.push(record);
+    }
+  }, error => error.name === 'DecryptionError' && /stopped after 3 errors/.test(error.message) && error.details.step === 'batch');
+
+  // The third error is on line 4; nothing after it is verified
+  assert.deepStrictEqual(records.map(record => record.line).slice(0, 3), [1, 2, 3]);
+  assert.ok(records.every(record => record.line <= 4));
+});
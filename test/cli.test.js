@@ -0,0 +1,83 @@
+/**
+ * Command-line tool tests, run as a child process
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test } = require('../test');
+const { Encoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const BIN = path.join(__dirname, '..', 'bin', 'ntag424.js');
+
+/**
+ * Run the ntag424 command
+ * @param {Array<string>} args - Command-line arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Object} Object containing status, stdout and stderr
+ */
+function ntag424(args, env = {}) {
+  const child = spawnSync(process.execPath, [BIN, ...args], {
+    encoding: 'utf8',
+    timeout: 5000,
+    env: { PATH: process.env.PATH, ...env }
+  });
+  return { status: child.status, stdout: child.stdout, stderr: child.stderr };
+}
+
+const tapUrl = Encoder.generateURL(Encoder.encrypt(MASTER_KEY, UID, 5), 'https://example.com/tap');
+const keyEnv = { NTAG424_MASTER_KEY: MASTER_KEY };
+
+test('verify exits 0 for a valid message and 1 for an invalid CMAC', () => {
+  const valid = ntag424(['verify', tapUrl], keyEnv);
+  assert.strictEqual(valid.status, 0, valid.stderr);
+  assert.match(valid.stdout, /^VALID\n/);
+  assert.match(valid.stdout, /Read counter: 5/);
+
+  const cmac = new URL(tapUrl).searchParams.get('cmac');
+  const tampered = tapUrl.replace(cmac, `${cmac.slice(0, -1)}${cmac.endsWith('0') ? '1' : '0'}`);
+  const invalid = ntag424(['verify', tampered], keyEnv);
+  assert.strictEqual(invalid.status, 1);
+  assert.match(invalid.stdout, /^NOT VALID\n/);
+});
+
+test('usage errors exit 2', () => {
+  for (const args of [['frobnicate'], ['verify'], ['encrypt', '--uid', UID], ['verify', tapUrl, '--mode']]) {
+    const result = ntag424(args, keyEnv);
+    assert.strictEqual(result.status, 2, args.join(' '));
+    assert.ok(result.stderr.length > 0, args.join(' '));
+  }
+
+  assert.strictEqual(ntag424(['verify', tapUrl]).status, 2, 'no key configured');
+});
+
+test('--json prints machine-readable results and errors', () => {
+  const valid = JSON.parse(ntag424(['verify', tapUrl, '--json'], keyEnv).stdout);
+  assert.deepStrictEqual(
+    [valid.valid, valid.success, valid.uid, valid.readCounter, valid.cmacValid, valid.keyId],
+    [true, true, UID, 5, true, 'default']
+  );
+  assert.ok(!JSON.stringify(valid).includes(MASTER_KEY));
+
+  const encrypted = JSON.parse(ntag424(['encrypt', '--uid', UID, '--counter', '5', '--json'], keyEnv).stdout);
+  assert.strictEqual(encrypted.encryptedData.cmac, new URL(tapUrl).searchParams.get('cmac'));
+
+  const usage = ntag424(['verify', '--json'], keyEnv);
+  assert.strictEqual(usage.status, 2);
+  assert.deepStrictEqual(JSON.parse(usage.stderr), { success: false, error: 'verify needs a URL or query string argument', errorCode: 'VALIDATION_ERROR' });
+});
+
+test('keygen never echoes key material given on argv', () => {
+  for (const args of [['keygen', '--key', MASTER_KEY], ['keygen', `--master-key=${MASTER_KEY}`], ['keygen', '--json', '--key', MASTER_KEY]]) {
+    const result = ntag424(args);
+    assert.strictEqual(result.status, 2, args.join(' '));
+    assert.match(result.stderr, /not accepted on the command line/);
+    assert.ok(!`${result.stdout}${result.stderr}`.includes(MASTER_KEY), args.join(' '));
+  }
+
+  const generated = JSON.parse(ntag424(['keygen', '--json']).stdout);
+  assert.match(generated.masterKey, /^[0-9A-F]{32}$/);
+  assert.match(generated.kcv, /^[0-9A-F]{6}$/);
+});
@@ -0,0 +1,61 @@
+/**
+ * AES-CMAC tests against the RFC 4493 test vectors
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const CMAC = require('../lib/cmac');
+
+const hex = value => Buffer.from(value, 'hex');
+const toHex = buffer => buffer.toString('hex');
+
+const KEY = hex('2b7e151628aed2a6abf7158809cf4f3c');
+const MESSAGE = hex(
+  '6bc1bee22e409f96e93d7e117393172a' +
+  'ae2d8a571e03ac9c9eb76fac45af8e51' +
+  '30c81c46a35ce411e5fbc1191a0a52ef' +
+  'f69f2445df4f9b17ad2b417be66c3710'
+);
+
+// RFC 4493 section 4: message length in bytes and expected MAC
+const VECTORS = [
+  [0, 'bb1d6929e95937287fa37d129b756746'],
+  [16, '070a16b46b4d4144f79bdd9dd04a287c'],
+  [40, 'dfa66747de9ae63030ca32611497c827'],
+  [64, '51f0bebf7e3b9d92fc49741779363cfe']
+];
+
+test('generateSubkeys matches RFC 4493', () => {
+  const { k1, k2 } = CMAC.generateSubkeys(KEY);
+
+  assert.strictEqual(toHex(k1), 'fbeed618357133667c85e08f7236a8de');
+  assert.strictEqual(toHex(k2), 'f7ddac306ae266ccf90bc11ee46d513b');
+});
+
+test('calculate matches RFC 4493 for 0, 16, 40 and 64 byte messages', () => {
+  for (const [length, mac] of VECTORS) {
+    assert.strictEqual(toHex(CMAC.calculate(KEY, MESSAGE.slice(0, length))), mac, `${length}-byte message`);
+  }
+});
+
+test('incremental CMACContext matches RFC 4493 across update boundaries', () => {
+  for (const [length, mac] of VECTORS) {
+    const context = CMAC.create(KEY);
+
+    for (let offset = 0; offset < length; offset += 7) {
+      context.update(MESSAGE.slice(offset, Math.min(offset + 7, length)));
+    }
+
+    assert.strictEqual(toHex(context.digest()), mac, `${length}-byte message`);
+  }
+});
+
+test('verify accepts the RFC 4493 MAC and rejects a modified one', () => {
+  const mac = hex(VECTORS[2][1]);
+  const message = MESSAGE.slice(0, 40);
+
+  assert.strictEqual(CMAC.verify(KEY, message, mac), true);
+
+  mac[0] ^= 0x01;
+  assert.strictEqual(CMAC.verify(KEY, message, mac), false);
+});
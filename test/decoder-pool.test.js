@@ -0,0 +1,54 @@
+/**
+ * Worker-thread decoder pool tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, DecoderPool } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+test('pool spreads decryption over its workers and rejects work after destroy', async () => {
+  const pool = await DecoderPool.create(MASTER_KEY, { size: 2, timingAttackProtection: false });
+  const handled = pool.workers.map(entry => {
+    const counter = { tasks: 0 };
+    const postMessage = entry.worker.postMessage.bind(entry.worker);
+    entry.worker.postMessage = (message, transfer) => {
+      counter.tasks += message.type === 'decrypt' ? 1 : 0;
+      return postMessage(message, transfer);
+    };
+    return counter;
+  });
+
+  try {
+    const messages = [1, 2, 3, 4].map(counter => Encoder.encrypt(MASTER_KEY, UID, counter).encryptedData);
+    const results = await Promise.all(messages.map(message => pool.decrypt(message)));
+
+    assert.deepStrictEqual(results.map(result => [result.success, result.cmacValid, result.readCounter]), [
+      [true, true, 1], [true, true, 2], [true, true, 3], [true, true, 4]
+    ]);
+    assert.ok(handled.every(counter => counter.tasks > 0), `tasks per worker: ${handled.map(counter => counter.tasks)}`);
+
+    // Queue tasks, then destroy before any worker reply can be delivered
+    const inFlight = messages.map(message => pool.decrypt(message));
+    for (let i = 0; i < 10 && pool.pending < messages.length; i++) {
+      await Promise.resolve();
+    }
+    assert.strictEqual(pool.pending, messages.length);
+
+    const destroyed = pool.destroy();
+    const settled = await Promise.allSettled(inFlight);
+    await destroyed;
+
+    for (const outcome of settled) {
+      assert.strictEqual(outcome.status, 'rejected');
+      assert.match(outcome.reason.message, /destroyed before the task finished/);
+    }
+    assert.strictEqual(pool.pending, 0);
+
+    await assert.rejects(pool.decrypt(messages[0]), /Decoder pool has been destroyed/);
+  } finally {
+    await pool.destroy();
+  }
+});
@@ -0,0 +1,55 @@
+/**
+ * decryptAsync uniform minimum latency tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const MIN_LATENCY = 60;
+// Timer jitter on a loaded machine, between outcomes of the same call
+const SPREAD_TOLERANCE = 30;
+
+/**
+ * Time one decryptAsync call and watch whether the event loop ran meanwhile
+ * @param {Decoder} decoder - Decoder
+ * @param {*} input - Decoder input
+ * @returns {Promise<Object>} Object containing result, elapsed milliseconds and immediateFired
+ */
+async function timed(decoder, input) {
+  let immediateFired = false;
+  setImmediate(() => { immediateFired = true; });
+
+  const start = process.hrtime.bigint();
+  const result = await decoder.decryptAsync(input);
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return { result, elapsed, immediateFired };
+}
+
+test('decryptAsync resolves valid, bad-CMAC and malformed input after minLatency without blocking', async () => {
+  const decoder = new Decoder(MASTER_KEY, { minLatency: MIN_LATENCY });
+  const { encryptedData } = Encoder.encrypt(MASTER_KEY, UID, 12);
+  const badCmac = { ...encryptedData, cmac: `${encryptedData.cmac[0] === '0' ? '1' : '0'}${encryptedData.cmac.slice(1)}` };
+
+  const valid = await timed(decoder, encryptedData);
+  const forged = await timed(decoder, badCmac);
+  const malformed = await timed(decoder, 'not a SUN message');
+
+  assert.strictEqual(valid.result.cmacValid, true);
+  assert.strictEqual(forged.result.cmacValid, false);
+  assert.strictEqual(malformed.result.success, false);
+
+  const outcomes = [valid, forged, malformed];
+  for (const outcome of outcomes) {
+    // Timers may fire up to a millisecond early against the high-resolution clock
+    assert.ok(outcome.elapsed >= MIN_LATENCY - 1, `resolved after ${outcome.elapsed.toFixed(1)} ms`);
+    assert.strictEqual(outcome.immediateFired, true, 'event loop was blocked during the wait');
+  }
+
+  const times = outcomes.map(outcome => outcome.elapsed);
+  const spread = Math.max(...times) - Math.min(...times);
+  assert.ok(spread <= SPREAD_TOLERANCE, `spread ${spread.toFixed(1)} ms: ${times.map(time => time.toFixed(1))}`);
+});
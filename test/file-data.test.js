@@ -0,0 +1,20 @@
+/**
+ * Zero-vector file data padding tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+test('binary file data ending in zero bytes round-trips', () => {
+  for (const payload of [Buffer.from([0x01, 0x02, 0x00, 0x00]), Buffer.alloc(16, 0x00), Buffer.from('ABCDEFGHIJKLMNOP')]) {
+    const encrypted = Encoder.encrypt(MASTER_KEY, UID, 9, payload, { sdmProfile: 'full' });
+    const result = new Decoder(MASTER_KEY, { sdmProfile: 'full' }).decrypt(encrypted.encryptedData);
+
+    assert.strictEqual(result.cmacValid, true);
+    assert.ok(result.fileData.buffer.equals(payload), `payload ${payload.toString('hex')}`);
+  }
+});
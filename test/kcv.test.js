@@ -0,0 +1,58 @@
+/**
+ * Key check value tests
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { test } = require('../test');
+const { KCV, KeyWrap, Decoder } = require('../ntag424-crypto');
+
+// FIPS-197 / RFC 4493 AES-128 key
+const KEY = '2B7E151628AED2A6ABF7158809CF4F3C';
+// RFC 4493 section 4: AES-128(K, 0^128) and subkey K1
+const AES_ZERO_BLOCK = '7DF76B0C1AB899B33E42F047B91B546F';
+const K1 = 'FBEED618357133667C85E08F7236A8DE';
+
+test('aes KCV is the leading bytes of AES-ECB over a zero block', () => {
+  assert.strictEqual(KCV.calculate(KEY), AES_ZERO_BLOCK.slice(0, 6));
+  assert.strictEqual(KCV.calculate(KEY, { length: 16 }), AES_ZERO_BLOCK);
+  assert.strictEqual(KCV.calculate(Buffer.from(KEY, 'hex'), { length: 5 }), AES_ZERO_BLOCK.slice(0, 10));
+});
+
+test('cmac KCV is AES-CMAC over a zero block', () => {
+  // A complete single block is CMACed as AES(K, M xor K1), so with M = 0 it is AES(K, K1)
+  const cipher = crypto.createCipheriv('aes-128-ecb', Buffer.from(KEY, 'hex'), null);
+  const expected = cipher.update(Buffer.from(K1, 'hex')).toString('hex').toUpperCase();
+
+  assert.strictEqual(KCV.calculate(KEY, { method: 'cmac', length: 16 }), expected);
+  assert.strictEqual(KCV.calculate(KEY, { method: 'cmac', length: 5 }), '7AD386C376');
+});
+
+test('verify compares the given length and method', () => {
+  assert.strictEqual(KCV.verify(KEY, '7df76b'), true);
+  assert.strictEqual(KCV.verify(KEY, '7DF76B0C1A'), true);
+  assert.strictEqual(KCV.verify(KEY, { value: '7AD386C376', method: 'cmac' }), true);
+  assert.strictEqual(KCV.verify(KEY, { value: '7DF76B', method: 'cmac' }), false);
+  assert.strictEqual(KCV.verify(KEY, '7DF76C'), false);
+
+  assert.throws(() => KCV.calculate(KEY, { method: 'sha1' }), /method/i);
+  assert.throws(() => KCV.calculate(KEY, { length: 2 }), /3 to 16 bytes/);
+});
+
+test('a key that does not match its KCV is rejected when loaded', () => {
+  assert.ok(new Decoder(KEY, { kcv: '7DF76B' }));
+  assert.throws(() => new Decoder(KEY, { kcv: '000000' }), error => error.code === 'VALIDATION_ERROR' && /does not match its KCV/.test(error.message));
+
+  assert.throws(
+    () => new Decoder([{ keyId: 'sdm-2025', version: 1, key: KEY, kcv: { value: '7DF76B', method: 'cmac' } }]),
+    /does not match its KCV/
+  );
+
+  // Swap the envelope's KCV for another key's
+  const envelope = JSON.parse(KeyWrap.wrapWithKek(KEY, '000102030405060708090A0B0C0D0E0F'));
+  envelope.kcv = KCV.calculate('00112233445566778899AABBCCDDEEFF');
+  assert.throws(
+    () => KeyWrap.unwrapWithKek(JSON.stringify(envelope), '000102030405060708090A0B0C0D0E0F'),
+    error => error.details.threat === 'KCV_MISMATCH'
+  );
+});
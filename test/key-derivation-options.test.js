@@ -0,0 +1,44 @@
+/**
+ * keyDerivationOptions validation tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder, KeyDerivation } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+test('zeroVector messages round-trip with derivation options', () => {
+  const kdf = { keyDerivationMethod: 'hkdf', keyDerivationOptions: { algorithm: 'sha512', salt: 'tenant-42' } };
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 4, null, kdf);
+
+  const result = new Decoder(MASTER_KEY, kdf).decrypt(encrypted.encryptedData);
+  assert.strictEqual(result.cmacValid, true);
+  assert.deepStrictEqual(result.metadata.keyDerivationOptions, kdf.keyDerivationOptions);
+});
+
+test('derivation options outside zeroVector are rejected by Encoder and Decoder', () => {
+  const kdf = { keyDerivationMethod: 'hkdf', keyDerivationOptions: { info: 'ignored' } };
+
+  for (const options of [{ sunMode: 'nxp' }, { sunMode: 'nxp', cryptoMode: 'lrp' }]) {
+    assert.throws(() => Encoder.encrypt(MASTER_KEY, UID, 4, null, { ...options, ...kdf }), /only apply to sunMode 'zeroVector'/);
+    assert.throws(() => new Decoder(MASTER_KEY, { ...options, ...kdf }), /only apply to sunMode 'zeroVector'/);
+  }
+  assert.throws(() => new Decoder(MASTER_KEY, { sunMode: 'plain', ...kdf }), /only apply to sunMode 'zeroVector'/);
+
+  // Per-call overrides are checked too
+  const result = new Decoder(MASTER_KEY, { sunMode: 'nxp' }).decrypt('https://example.com/?picc_data=00&cmac=00', kdf);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /only apply to sunMode 'zeroVector'/);
+});
+
+test('HMAC-based methods accept only key derivation digests', () => {
+  for (const method of ['hkdf', 'pbkdf2']) {
+    assert.deepStrictEqual(KeyDerivation.validateOptions(method, { algorithm: 'sha384' }), { algorithm: 'sha384' });
+
+    for (const algorithm of ['RSA-SHA256', 'md5', 'sha256WithRSAEncryption']) {
+      assert.throws(() => KeyDerivation.validateOptions(method, { algorithm }), /Unsupported hash algorithm/, `${method} ${algorithm}`);
+    }
+  }
+});
@@ -0,0 +1,33 @@
+/**
+ * AN10922 key diversification option tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+test('diversified nxp message round-trips', () => {
+  const keyDiversification = { aid: '3042F5', systemIdentifier: '4E585020416275' };
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 3, null, { sunMode: 'nxp', keyDiversification });
+  const url = Encoder.generateURL(encrypted, 'https://example.com/tap');
+
+  const result = new Decoder(MASTER_KEY, { sunMode: 'nxp', keyDiversification }).decrypt(url);
+  assert.strictEqual(result.cmacValid, true);
+});
+
+test('Encoder and Decoder reject the same invalid diversification settings', () => {
+  const invalid = [
+    [{ aid: '3042F501' }, /at most 3 bytes/],
+    [{ aid: '304' }, /even-length hex string/],
+    [{ systemIdentifier: 'XYZW' }, /even-length hex string/],
+    [['3042F5'], /must be an object/]
+  ];
+
+  for (const [keyDiversification, message] of invalid) {
+    assert.throws(() => Encoder.encrypt(MASTER_KEY, UID, 3, null, { sunMode: 'nxp', keyDiversification }), message);
+    assert.throws(() => new Decoder(MASTER_KEY, { sunMode: 'nxp', keyDiversification }), message);
+  }
+});
@@ -0,0 +1,106 @@
+/**
+ * Key provider tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('../test');
+const { SoftwareKeyProvider, KeyHandle, Encoder, Decoder, AES, CMAC, KeyDerivation } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const ENTRIES = [{ keyId: 'sdm-2025', version: 2, key: MASTER_KEY }];
+
+test('provider exposes no way to resolve a handle to key material', () => {
+  const provider = new SoftwareKeyProvider(ENTRIES);
+  const handle = provider.getKey('sdm-2025');
+
+  for (const prototype of [Object.getPrototypeOf(provider), SoftwareKeyProvider.prototype, Object.getPrototypeOf(SoftwareKeyProvider.prototype)]) {
+    const names = Object.getOwnPropertyNames(prototype);
+    assert.ok(!names.some(name => /resolve/i.test(name)), names.join(', '));
+  }
+
+  assert.deepStrictEqual(Object.keys(provider), []);
+  assert.deepStrictEqual(Object.keys(handle).sort(), ['keyId', 'provider', 'validFrom', 'validUntil', 'version']);
+  assert.ok(!JSON.stringify({ ...handle, provider: null }).includes(MASTER_KEY));
+});
+
+test('provider operations match the raw key', () => {
+  const provider = new SoftwareKeyProvider(ENTRIES);
+  const handle = provider.getKey('sdm-2025');
+  const key = Buffer.from(MASTER_KEY, 'hex');
+  const block = Buffer.from('000102030405060708090A0B0C0D0E0F', 'hex');
+
+  assert.ok(provider.cmac(handle, block).equals(CMAC.calculate(key, block)));
+  assert.ok(provider.encryptBlock(handle, block).equals(AES.ecbEncrypt(key, block)));
+  assert.ok(provider.decryptBlock(handle, AES.ecbEncrypt(key, block)).equals(block));
+
+  const viaHandle = KeyDerivation.ntag424Official(handle, Buffer.alloc(7), Buffer.alloc(3));
+  const viaKey = KeyDerivation.ntag424Official(key, Buffer.alloc(7), Buffer.alloc(3));
+  assert.ok(viaHandle.encKey.equals(viaKey.encKey) && viaHandle.macKey.equals(viaKey.macKey));
+});
+
+test('Encoder and Decoder accept provider handles', () => {
+  const provider = new SoftwareKeyProvider(ENTRIES);
+  const encrypted = Encoder.encrypt(provider.getKey('sdm-2025'), UID, 7);
+
+  const result = new Decoder(provider, { timingAttackProtection: false }).decrypt(encrypted.encryptedData);
+  assert.strictEqual(result.cmacValid, true);
+  assert.deepStrictEqual([result.keyId, result.keyVersion], ['sdm-2025', 2]);
+
+  const plain = new Decoder(MASTER_KEY, { timingAttackProtection: false }).decrypt(encrypted.encryptedData);
+  assert.strictEqual(plain.cmacValid, true);
+});
+
+test('foreign, forged and released handles are rejected', () => {
+  const provider = new SoftwareKeyProvider(ENTRIES);
+  const other = new SoftwareKeyProvider(ENTRIES);
+  const block = Buffer.alloc(16);
+
+  assert.throws(() => provider.cmac(other.getKey('sdm-2025'), block), /not issued by this provider/);
+  assert.throws(() => provider.cmac({ provider, keyId: 'sdm-2025' }, block), /not issued by this provider/);
+  assert.throws(() => provider.cmac(new KeyHandle(provider, 'missing'), block), /has been released/);
+
+  const handle = provider.getKey('sdm-2025');
+  provider.releaseKey(handle);
+  assert.ok(provider.cmac(handle, block).length === 16, 'listed keys stay loaded');
+
+  const diversified = provider.diversify(handle, Buffer.from(UID, 'hex'));
+  provider.releaseKey(diversified);
+  assert.throws(() => provider.cmac(diversified, block), /has been released/);
+
+  provider.destroy();
+  assert.throws(() => provider.cmac(handle, block), /has been released/);
+});
+
+test('invalid key entries are rejected without echoing the key', () => {
+  assert.throws(() => new SoftwareKeyProvider([{ keyId: 'a', key: MASTER_KEY }, { keyId: 'a', key: MASTER_KEY }]), /Duplicate keyId/);
+  assert.throws(() => new SoftwareKeyProvider([{ key: MASTER_KEY }]), /keyId must be a non-empty string/);
+
+  try {
+    new SoftwareKeyProvider([{ keyId: 'short', key: MASTER_KEY.slice(2) }]);
+    assert.fail('short key accepted');
+  } catch (error) {
+    assert.match(error.message, /32-character hex string/);
+    assert.ok(!JSON.stringify(error.details).includes(MASTER_KEY.slice(2)));
+  }
+});
+
+test('key file round-trips and rejects a wrong passphrase', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntag424-keys-'));
+  const filePath = path.join(dir, 'keys.json');
+
+  try {
+    SoftwareKeyProvider.writeKeyFile(filePath, 'correct horse battery', ENTRIES);
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes(MASTER_KEY));
+
+    const provider = SoftwareKeyProvider.fromFile(filePath, 'correct horse battery');
+    assert.deepStrictEqual(provider.listKeys().map(handle => handle.keyId), ['sdm-2025']);
+
+    assert.throws(() => SoftwareKeyProvider.fromFile(filePath, 'wrong horse battery'), error => error.details.threat === 'KEY_FILE_AUTH_FAILURE');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
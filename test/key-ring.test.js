@@ -0,0 +1,88 @@
+/**
+ * Key ring rotation tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const OLD_KEY = '00112233445566778899AABBCCDDEEFF';
+const NEW_KEY = 'FFEEDDCCBBAA99887766554433221100';
+const UNKNOWN_KEY = '0F0E0D0C0B0A09080706050403020100';
+const UID = '04AABBCCDDEEFF';
+const OPTIONS = { timingAttackProtection: false };
+const DAY = 24 * 60 * 60 * 1000;
+
+const ring = [
+  { keyId: 'new', version: 2, key: NEW_KEY },
+  { keyId: 'old', version: 1, key: OLD_KEY }
+];
+
+function tap(key) {
+  return Encoder.encrypt(key, UID, 5).encryptedData;
+}
+
+test('old and new keys are both accepted and reported', () => {
+  const decoder = new Decoder(ring, OPTIONS);
+
+  const fresh = decoder.decrypt(tap(NEW_KEY));
+  assert.strictEqual(fresh.cmacValid, true);
+  assert.deepStrictEqual([fresh.keyId, fresh.keyVersion, fresh.staleKey], ['new', 2, false]);
+
+  const stale = decoder.decrypt(tap(OLD_KEY));
+  assert.strictEqual(stale.cmacValid, true);
+  assert.deepStrictEqual([stale.keyId, stale.keyVersion, stale.staleKey], ['old', 1, true]);
+});
+
+test('a single key reports the default key id and is never stale', () => {
+  const result = new Decoder(OLD_KEY, OPTIONS).decrypt(tap(OLD_KEY));
+
+  assert.strictEqual(result.keyId, 'default');
+  assert.strictEqual(result.staleKey, false);
+});
+
+test('keys outside their validity window are skipped', () => {
+  const now = Date.now();
+  const expiring = [
+    { keyId: 'new', version: 2, key: NEW_KEY, validFrom: new Date(now - DAY) },
+    { keyId: 'old', version: 1, key: OLD_KEY, validUntil: new Date(now - 1000) }
+  ];
+  const decoder = new Decoder(expiring, OPTIONS);
+
+  assert.strictEqual(decoder.decrypt(tap(NEW_KEY)).keyId, 'new');
+  assert.strictEqual(decoder.decrypt(tap(OLD_KEY)).success, false);
+
+  // The only active key is not stale, and a key that is not valid yet is skipped too
+  const pending = new Decoder([
+    { keyId: 'next', version: 3, key: NEW_KEY, validFrom: new Date(now + DAY).toISOString() },
+    { keyId: 'old', version: 1, key: OLD_KEY }
+  ], OPTIONS);
+  const current = pending.decrypt(tap(OLD_KEY));
+  assert.deepStrictEqual([current.keyId, current.staleKey], ['old', false]);
+  assert.strictEqual(pending.decrypt(tap(NEW_KEY)).success, false);
+});
+
+test('a ring with no active key fails with a keyRing error', () => {
+  const expired = new Decoder([{ keyId: 'old', version: 1, key: OLD_KEY, validUntil: Date.now() - 1000 }], OPTIONS);
+  const result = expired.decrypt(tap(OLD_KEY));
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /No key in the key ring is valid at this time/);
+});
+
+test('an unknown key fails with the normal decryption error', () => {
+  const single = new Decoder(NEW_KEY, OPTIONS).decrypt(tap(UNKNOWN_KEY));
+  const ringed = new Decoder(ring, OPTIONS).decrypt(tap(UNKNOWN_KEY));
+
+  assert.strictEqual(single.success, false);
+  assert.strictEqual(ringed.success, false);
+  assert.strictEqual(ringed.errorType, single.errorType);
+  assert.strictEqual(ringed.errorCode, 'DECRYPTION_ERROR');
+  assert.ok(ringed.error.endsWith(single.error), ringed.error);
+});
+
+test('invalid key ring entries are rejected', () => {
+  assert.throws(() => new Decoder([], OPTIONS), /at least one key/);
+  assert.throws(() => new Decoder([ring[0], { ...ring[1], keyId: 'new' }], OPTIONS), /keyId/);
+  assert.throws(() => new Decoder([{ ...ring[0], validFrom: '2025-02-01', validUntil: '2025-01-01' }], OPTIONS), /validFrom must be before validUntil/);
+});
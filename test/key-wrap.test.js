@@ -0,0 +1,71 @@
+/**
+ * Passphrase key wrapping tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { KeyWrap } = require('../ntag424-crypto');
+
+const KEY = '00112233445566778899AABBCCDDEEFF';
+const PASSPHRASE = 'correct horse battery';
+
+/**
+ * Wrap the test key and replace scrypt parameters in the envelope
+ * @param {Object} kdf - Parameters to set
+ * @returns {string} Modified envelope
+ */
+function envelopeWith(kdf) {
+  const envelope = JSON.parse(KeyWrap.wrapWithPassphrase(KEY, PASSPHRASE, { scrypt: { N: 16384 } }));
+  Object.assign(envelope.kdf, kdf);
+  return JSON.stringify(envelope);
+}
+
+test('passphrase-wrapped key unwraps', () => {
+  assert.strictEqual(KeyWrap.unwrapWithPassphrase(envelopeWith({}), PASSPHRASE), KEY);
+  assert.throws(() => KeyWrap.unwrapWithPassphrase(envelopeWith({}), 'wrong passphrase'), /wrong passphrase/);
+});
+
+test('envelope scrypt parameters outside the fixed bounds are rejected before scrypt runs', () => {
+  const invalid = [
+    { N: 2 ** 18 },
+    { N: 2 ** 21 },
+    { N: 2 ** 13 },
+    { N: 20000 },
+    { N: '16384' },
+    { r: 9 },
+    { r: 0 },
+    { p: 5 },
+    { N: 2 ** 20, r: 16, p: 1000 }
+  ];
+
+  for (const kdf of invalid) {
+    assert.throws(
+      () => KeyWrap.unwrapWithPassphrase(envelopeWith(kdf), PASSPHRASE),
+      error => error.code === 'VALIDATION_ERROR' && /^kdf\./.test(error.details.field),
+      JSON.stringify(kdf)
+    );
+  }
+});
+
+test('wrapping rejects scrypt parameters outside the fixed bounds', () => {
+  assert.throws(() => KeyWrap.wrapWithPassphrase(KEY, PASSPHRASE, { scrypt: { N: 1024 } }), /power of two/);
+});
+
+test('an envelope asking for N = 2^20 and r = 16 is rejected before scrypt runs', () => {
+  const envelope = envelopeWith({ N: 2 ** 20, r: 16 });
+
+  // Running scrypt would fail on the memory limit instead of the parameter check
+  assert.throws(
+    () => KeyWrap.unwrapWithPassphrase(envelope, PASSPHRASE),
+    error => error.code === 'VALIDATION_ERROR' && error.details.field === 'kdf.N' && error.details.expected === '2^14-2^17'
+  );
+  assert.throws(
+    () => KeyWrap.unwrapWithPassphrase(envelopeWith({ r: 16 }), PASSPHRASE),
+    error => error.code === 'VALIDATION_ERROR' && error.details.field === 'kdf.r'
+  );
+});
+
+test('wrapping parameters up to the unwrap limits round-trip', () => {
+  const envelope = KeyWrap.wrapWithPassphrase(KEY, PASSPHRASE, { scrypt: { N: 2 ** 17, r: 8 } });
+  assert.strictEqual(KeyWrap.unwrapWithPassphrase(envelope, PASSPHRASE), KEY);
+});
@@ -0,0 +1,65 @@
+/**
+ * LRP primitive tests against the NXP AN12304 test vectors
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const LRP = require('../lib/lrp');
+
+const hex = value => Buffer.from(value, 'hex');
+const toHex = buffer => buffer.toString('hex').toUpperCase();
+
+test('generatePlaintexts matches AN12304', () => {
+  const plaintexts = LRP.generatePlaintexts(hex('567826B8DA8E768432A9548DBE4AA3A0'));
+
+  assert.strictEqual(plaintexts.length, 16);
+  assert.strictEqual(toHex(plaintexts[0]), 'AC20D39F5341FE98DFCA21DA86BA7914');
+});
+
+test('evalLRP with updated key 2 matches AN12304', () => {
+  const key = hex('567826B8DA8E768432A9548DBE4AA3A0');
+  const plaintexts = LRP.generatePlaintexts(key);
+  const updatedKeys = LRP.generateUpdatedKeys(key, 3);
+
+  assert.strictEqual(toHex(LRP.evalLRP(plaintexts, updatedKeys[2], hex('1359'), true)), '1BA2C0C578996BC497DD181C6885A9DD');
+});
+
+test('evalLRP with updated key 3 and no final step matches AN12304', () => {
+  const key = hex('9AFF3EF56FFEC3153B1CADB48B445409');
+  const plaintexts = LRP.generatePlaintexts(key);
+  const updatedKeys = LRP.generateUpdatedKeys(key, 4);
+
+  assert.strictEqual(
+    toHex(LRP.evalLRP(plaintexts, updatedKeys[3], hex('4B073B247CD48F7E0A'), false)),
+    '909415E5C8BE77563050F2227E17C0E4'
+  );
+});
+
+test('LRICB encryption and decryption match AN12304', () => {
+  const key = hex('E0C4935FF0C254CD2CEF8FDDC32460CF');
+  const plaintext = hex('012D7F1653CAF6503C6AB0C1010E8CB0');
+  const counter = hex('C3315DBF');
+  const ciphertext = 'FCBBACAA4F29182464F99DE41085266F480E863E487BAAF687B43ED1ECE0D623';
+
+  assert.strictEqual(toHex(LRP.lricbEncrypt(key, plaintext, counter)), ciphertext);
+  assert.strictEqual(toHex(LRP.lricbDecrypt(key, hex(ciphertext), counter)), toHex(plaintext));
+});
+
+test('LRP-CMAC matches AN12304', () => {
+  const vectors = [
+    ['8195088CE6C393708EBBE6C7914ECB0B', 'BBD5B85772C7', 'AD8595E0B49C5C0DB18E77355F5AAFF6'],
+    ['E2F84A0B0AF40EFEB3EEA215A436605C', '8BF1DDA9FE445560A4F4EB9CE0', 'D04382DF71BC293FEC4BB10BDB13805F'],
+    ['5AA9F6C6DE5138113DF5D6B6C77D5D52', 'A4434D740C2CB665FE5396959189383F', '8B43ADF767E46B692E8F24E837CB5EFC']
+  ];
+
+  for (const [key, message, mac] of vectors) {
+    assert.strictEqual(toHex(LRP.cmac(hex(key), hex(message))), mac);
+  }
+});
+
+test('lricbDecrypt rejects data that is not block aligned', () => {
+  assert.throws(
+    () => LRP.lricbDecrypt(hex('E0C4935FF0C254CD2CEF8FDDC32460CF'), Buffer.alloc(15), hex('00000000')),
+    error => error.code === 'VALIDATION_ERROR'
+  );
+});
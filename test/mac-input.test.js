@@ -0,0 +1,51 @@
+/**
+ * SDMMACInputOffset / sdmMacInputMarker round-trip tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const BASE_URL = 'https://example.com/tap';
+
+function decrypt(url, options) {
+  return new Decoder(MASTER_KEY, { timingAttackProtection: false, ...options }).decrypt(url);
+}
+
+test('plain mirror MAC input starting at each marker round-trips', () => {
+  for (const marker of ['uid', 'ctr']) {
+    const encrypted = Encoder.encrypt(MASTER_KEY, UID, 7, null, { sunMode: 'plain', sdmMacInputMarker: marker });
+    const url = Encoder.generateURL(encrypted, BASE_URL);
+
+    assert.strictEqual(decrypt(url, { sunMode: 'plain', sdmMacInputMarker: marker }).cmacValid, true, marker);
+    assert.strictEqual(decrypt(url, { sunMode: 'plain', sdmMacInputOffset: url.indexOf(`${marker}=`) + marker.length + 1 }).cmacValid, true, marker);
+  }
+});
+
+test('nxp file data MAC input at the ENC value round-trips by marker and offset', () => {
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 7, 'Hello', { sunMode: 'nxp', sdmProfile: 'full' });
+  const url = Encoder.generateURL(encrypted, BASE_URL);
+  const options = { sunMode: 'nxp', sdmProfile: 'full' };
+
+  for (const macInput of [{ sdmMacInputMarker: 'enc' }, { sdmMacInputOffset: url.indexOf('enc=') + 4 }]) {
+    const result = decrypt(url, { ...options, ...macInput });
+    assert.strictEqual(result.cmacValid, true, JSON.stringify(macInput));
+    assert.ok(result.fileData.ascii.startsWith('Hello'));
+  }
+});
+
+test('a wrong MAC input offset or marker fails verification', () => {
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 7, null, { sunMode: 'plain', sdmMacInputMarker: 'ctr' });
+  const url = Encoder.generateURL(encrypted, BASE_URL);
+
+  assert.strictEqual(decrypt(url, { sunMode: 'plain', sdmMacInputOffset: url.indexOf('ctr=') + 5 }).cmacValid, false);
+  assert.strictEqual(decrypt(url, { sunMode: 'plain', sdmMacInputMarker: 'uid' }).cmacValid, false);
+  assert.strictEqual(decrypt(url, { sunMode: 'plain' }).cmacValid, false);
+});
+
+test('Encoder rejects an sdmMacInputMarker it cannot honour', () => {
+  assert.throws(() => Encoder.encrypt(MASTER_KEY, UID, 7, null, { sunMode: 'zeroVector', sdmMacInputMarker: 'uid' }), /only supported with sunMode 'plain'/);
+  assert.throws(() => Encoder.encrypt(MASTER_KEY, UID, 7, null, { sunMode: 'plain', sdmProfile: 'counterOnly', sdmMacInputMarker: 'uid' }), /must name a mirrored parameter/);
+});
@@ -0,0 +1,73 @@
+/**
+ * SUN verification middleware tests over a real HTTP server
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { test } = require('../test');
+const { Encoder, SunMiddleware, MemoryCounterStore } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+/**
+ * Issue a GET request
+ * @param {number} port - Server port
+ * @param {string} path - Request path with query
+ * @returns {Promise<Object>} Object containing status and parsed body
+ */
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Build the path and query of a tag URL
+ * @param {number} counter - Read counter
+ * @returns {string} Path with query
+ */
+function tapPath(counter) {
+  const url = new URL(Encoder.generateURL(Encoder.encrypt(MASTER_KEY, UID, counter), 'http://localhost/tap'));
+  return `${url.pathname}${url.search}`;
+}
+
+test('middleware on an http server passes, fails and rejects replays', async () => {
+  const verifyTap = SunMiddleware.create(MASTER_KEY, {
+    property: 'tap',
+    replayStore: new MemoryCounterStore(),
+    failureStatus: 403,
+    replayStatus: 409,
+    timingAttackProtection: false
+  });
+
+  const server = http.createServer((req, res) => verifyTap(req, res, () => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ uid: req.tap.uid, readCounter: req.tap.readCounter }));
+  }));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const ok = await get(port, tapPath(21));
+    assert.strictEqual(ok.status, 200);
+    assert.deepStrictEqual(ok.body, { uid: UID, readCounter: 21 });
+
+    const forged = tapPath(22).replace(/cmac=([0-9A-Fa-f])/, (match, digit) => `cmac=${digit === '0' ? '1' : '0'}`);
+    const badCmac = await get(port, forged);
+    assert.strictEqual(badCmac.status, 403);
+    assert.strictEqual(badCmac.body.errorCode, 'CMAC_INVALID');
+
+    const replayed = await get(port, tapPath(21));
+    assert.strictEqual(replayed.status, 409);
+    assert.strictEqual(replayed.body.errorCode, 'REPLAY_DETECTED');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
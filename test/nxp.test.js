@@ -0,0 +1,39 @@
+/**
+ * NXP AN12196 SUN message tests against the application note examples
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Decoder } = require('../ntag424-crypto');
+
+// AN12196 uses the all-zero key as both SDMMetaRead and SDMFileRead key
+const ZERO_KEY = '00000000000000000000000000000000';
+
+test('AN12196 PICCData and MACt example verifies', () => {
+  const url = 'https://choose.url.com/ntag424?picc_data=EF963FF7828658A599F3041510671E88&cmac=94EED9EE65337086';
+  const result = new Decoder(ZERO_KEY, { sunMode: 'nxp', timingAttackProtection: false }).decrypt(url);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.uid, '04DE5F1EACC040');
+  assert.strictEqual(result.readCounter, 61);
+  assert.strictEqual(result.cmacValid, true);
+});
+
+test('AN12196 example with a modified MACt fails verification', () => {
+  const url = 'https://choose.url.com/ntag424?picc_data=EF963FF7828658A599F3041510671E88&cmac=94EED9EE65337087';
+  const result = new Decoder(ZERO_KEY, { sunMode: 'nxp', timingAttackProtection: false }).decrypt(url);
+
+  assert.strictEqual(result.cmacValid, false);
+});
+
+test('AN12196 example with SDMENCFileData verifies and decrypts', () => {
+  const url = 'https://choose.url.com/ntag424?picc_data=FD91EC264309878BE6345CBE53BADF40' +
+    '&enc=CEE9A53E3E463EF1F459635736738962&cmac=ECC1E7F6C6C73BF6';
+  const result = new Decoder(ZERO_KEY, { sunMode: 'nxp', sdmProfile: 'full', timingAttackProtection: false }).decrypt(url);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.uid, '04958CAA5C5E80');
+  assert.strictEqual(result.readCounter, 8);
+  assert.strictEqual(result.cmacValid, true);
+  assert.strictEqual(result.fileData.ascii, 'xxxxxxxxxxxxxxxx');
+});
@@ -0,0 +1,52 @@
+/**
+ * PICCDataTag and SDM profile consistency tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+/**
+ * Decrypt a message encrypted with one profile using another
+ * @param {string} encryptProfile - Profile used by the Encoder
+ * @param {string} decryptProfile - Profile used by the Decoder
+ * @returns {Object} Decoder result
+ */
+function decryptWith(encryptProfile, decryptProfile) {
+  const { encryptedData } = Encoder.encrypt(MASTER_KEY, UID, 5, null, { sdmProfile: encryptProfile });
+  return new Decoder(MASTER_KEY, { sdmProfile: decryptProfile, timingAttackProtection: false }).decrypt(encryptedData);
+}
+
+test('default UID and counter mirror uses PICCDataTag 0xC7', () => {
+  const result = decryptWith('uidCounter', 'uidCounter');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.dataTag, 'C7');
+  assert.strictEqual(result.uid, UID);
+  assert.strictEqual(result.readCounter, 5);
+});
+
+test('PICCDataTag matching a fixed profile is accepted', () => {
+  const result = decryptWith('uidOnly', 'uidOnly');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.dataTag, '87');
+  assert.strictEqual(result.uid, UID);
+});
+
+test('PICCDataTag contradicting the configured profile is rejected', () => {
+  for (const [encryptProfile, decryptProfile] of [['uidOnly', 'uidCounter'], ['uidCounter', 'counterOnly']]) {
+    const result = decryptWith(encryptProfile, decryptProfile);
+
+    assert.strictEqual(result.success, false, `${encryptProfile} read as ${decryptProfile}`);
+    assert.match(result.error, /does not match the SDM profile/);
+  }
+});
+
+test('auto profile takes its layout from the PICCDataTag', () => {
+  assert.strictEqual(decryptWith('uidOnly', 'auto').success, true);
+  assert.strictEqual(decryptWith('uidCounter', 'auto').readCounter, 5);
+});
@@ -0,0 +1,51 @@
+/**
+ * Plain UID/counter mirror tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const OPTIONS = { sunMode: 'plain', timingAttackProtection: false };
+
+test('plain mirror URL round-trips for each mirroring profile', () => {
+  const expected = {
+    uidCounter: [UID, 300],
+    uidOnly: [UID, null],
+    counterOnly: [null, 300]
+  };
+
+  for (const [sdmProfile, [uid, readCounter]] of Object.entries(expected)) {
+    const encrypted = Encoder.encrypt(MASTER_KEY, UID, 300, null, { sunMode: 'plain', sdmProfile });
+    const url = Encoder.generateURL(encrypted, 'https://example.com/tap');
+
+    const result = new Decoder(MASTER_KEY, { ...OPTIONS, sdmProfile }).decrypt(url);
+    assert.strictEqual(result.cmacValid, true, sdmProfile);
+    assert.deepStrictEqual([result.uid, result.readCounter], [uid, readCounter], sdmProfile);
+  }
+});
+
+test('plain mirror round-trips as URL, query string and object', () => {
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 300, null, { sunMode: 'plain' });
+  assert.strictEqual(encrypted.encryptedData.counter, '00012C');
+
+  const decoder = new Decoder(MASTER_KEY, OPTIONS);
+  const inputs = [
+    Encoder.generateURL(encrypted, 'https://example.com/tap'),
+    Encoder.generateQueryString(encrypted),
+    encrypted.encryptedData
+  ];
+
+  for (const input of inputs) {
+    assert.strictEqual(decoder.decrypt(input).cmacValid, true, typeof input);
+  }
+});
+
+test('plain mirror with a changed counter fails verification', () => {
+  const url = Encoder.generateURL(Encoder.encrypt(MASTER_KEY, UID, 300, null, { sunMode: 'plain' }), 'https://example.com/tap');
+  const result = new Decoder(MASTER_KEY, OPTIONS).decrypt(url.replace('ctr=00012C', 'ctr=00012D'));
+
+  assert.strictEqual(result.cmacValid, false);
+});
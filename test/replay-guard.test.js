@@ -0,0 +1,97 @@
+/**
+ * Replay protection tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('../test');
+const { Encoder, Decoder, MemoryCounterStore, FileCounterStore } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+test('verify rejects a replayed read counter', async () => {
+  const decoder = new Decoder(MASTER_KEY, { replayStore: new MemoryCounterStore(), timingAttackProtection: false });
+  const { encryptedData } = Encoder.encrypt(MASTER_KEY, UID, 5);
+
+  assert.strictEqual((await decoder.verify(encryptedData)).success, true);
+
+  const replayed = await decoder.verify(encryptedData);
+  assert.strictEqual(replayed.errorCode, 'REPLAY_DETECTED');
+  assert.strictEqual(replayed.details.rule, 'counterNotIncreased');
+});
+
+test('decrypt and decryptAsync refuse to run with a replay store', async () => {
+  const decoder = new Decoder(MASTER_KEY, { replayStore: new MemoryCounterStore() });
+  const { encryptedData } = Encoder.encrypt(MASTER_KEY, UID, 5);
+
+  assert.throws(() => decoder.decrypt(encryptedData), /use verify\(\)/);
+  await assert.rejects(decoder.decryptAsync(encryptedData), /use verify\(\)/);
+});
+
+test('FileCounterStore keeps its cache unchanged when a write fails', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ntag424-'));
+  const filePath = path.join(directory, 'counters.json');
+  const store = new FileCounterStore(filePath);
+
+  try {
+    await store.set('04AA', { counter: 1 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).counters, { '04AA': { counter: 1 } });
+
+    // Writes go to a temporary file next to the store, which now cannot be created
+    store.filePath = path.join(directory, 'missing', 'counters.json');
+    await assert.rejects(store.set('04AA', { counter: 2 }), error => error.code === 'SECURITY_ERROR');
+
+    assert.deepStrictEqual(await store.get('04AA'), { counter: 1 });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('strict policy keeps using a custom store that only implements compareAndSet', async () => {
+  const calls = [];
+  const store = {
+    last: null,
+    async get() { return this.last; },
+    async set(uid, counter) { this.last = counter; },
+    async compareAndSet(uid, counter) {
+      calls.push(counter);
+      const lastCounter = this.last;
+      if (lastCounter !== null && counter <= lastCounter) {
+        return { accepted: false, lastCounter };
+      }
+      this.last = counter;
+      return { accepted: true, lastCounter };
+    }
+  };
+
+  const decoder = new Decoder(MASTER_KEY, { replayStore: store, timingAttackProtection: false });
+  const first = await decoder.verify(Encoder.encrypt(MASTER_KEY, UID, 8).encryptedData);
+  const replayed = await decoder.verify(Encoder.encrypt(MASTER_KEY, UID, 8).encryptedData);
+
+  assert.strictEqual(first.replay.rule, 'firstSeen');
+  assert.strictEqual(replayed.details.rule, 'counterNotIncreased');
+  assert.deepStrictEqual(calls, [8, 8]);
+});
+
+test('replayPolicy without a replayStore is rejected', () => {
+  assert.throws(
+    () => new Decoder(MASTER_KEY, { replayPolicy: { type: 'window', windowSize: 4 } }),
+    error => error.code === 'VALIDATION_ERROR' && /replayPolicy requires a replayStore/.test(error.message)
+  );
+});
+
+test('window policy accepts an out-of-order counter once', async () => {
+  const decoder = new Decoder(MASTER_KEY, {
+    replayStore: new MemoryCounterStore(),
+    replayPolicy: { type: 'window', windowSize: 4 },
+    timingAttackProtection: false
+  });
+  const message = counter => Encoder.encrypt(MASTER_KEY, UID, counter).encryptedData;
+
+  assert.strictEqual((await decoder.verify(message(10))).success, true);
+  assert.strictEqual((await decoder.verify(message(8))).replay.rule, 'outOfOrderAllowed');
+  assert.strictEqual((await decoder.verify(message(8))).details.rule, 'counterAlreadySeen');
+});
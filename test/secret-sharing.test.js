@@ -0,0 +1,94 @@
+/**
+ * Shamir secret sharing tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { SecretSharing, Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+/**
+ * All subsets of an array with the given size
+ * @param {Array} items - Items to choose from
+ * @param {number} size - Subset size
+ * @returns {Array<Array>} Subsets in index order
+ */
+function subsets(items, size) {
+  if (size === 0) {
+    return [[]];
+  }
+  return items.flatMap((item, i) => subsets(items.slice(i + 1), size - 1).map(rest => [item, ...rest]));
+}
+
+/**
+ * Re-issue a share with a different index and a valid checksum
+ * @param {string} share - Share string
+ * @param {number} index - New index
+ * @returns {string} Share string
+ */
+function withIndex(share, index) {
+  const { setId, threshold, kcv, data } = SecretSharing.parseShare(share);
+  return SecretSharing._formatShare(setId, threshold, index, kcv, data);
+}
+
+test('any threshold-sized or larger subset recombines the key', () => {
+  const shares = SecretSharing.split(MASTER_KEY, { shares: 5, threshold: 3 });
+  assert.strictEqual(shares.length, 5);
+
+  for (const size of [3, 4, 5]) {
+    for (const subset of subsets(shares, size)) {
+      assert.strictEqual(SecretSharing.combine(subset), MASTER_KEY);
+      assert.strictEqual(SecretSharing.combine([...subset].reverse()), MASTER_KEY);
+    }
+  }
+});
+
+test('fewer shares than the threshold are rejected', () => {
+  const shares = SecretSharing.split(MASTER_KEY, { shares: 5, threshold: 3 });
+
+  for (const subset of subsets(shares, 2)) {
+    assert.throws(() => SecretSharing.combine(subset), /At least 3 shares are required, got 2/);
+  }
+});
+
+test('duplicate and mismatched share indexes are rejected', () => {
+  const shares = SecretSharing.split(MASTER_KEY, { shares: 3, threshold: 2 });
+
+  assert.throws(() => SecretSharing.combine([shares[0], shares[0]]), /Each share may be given only once/);
+  assert.throws(() => SecretSharing.combine([shares[0], shares[1].toLowerCase(), shares[1]]), /Each share may be given only once/);
+
+  // A share moved to another index interpolates a different key, which the KCV catches
+  assert.throws(() => SecretSharing.combine([shares[0], withIndex(shares[1], 3)]), error => error.details.threat === 'KCV_MISMATCH');
+  assert.throws(() => SecretSharing.combine([shares[0], withIndex(shares[1], 0)]), /out of range/);
+
+  // Changing the index without re-issuing the share breaks its checksum
+  const fields = shares[1].split('-');
+  fields[3] = '03';
+  const edited = fields.join('-');
+  assert.throws(() => SecretSharing.combine([shares[0], edited]), error => error.details.threat === 'SHARE_CHECKSUM_MISMATCH');
+});
+
+test('shares from different splits are not combined', () => {
+  const [a] = SecretSharing.split(MASTER_KEY, { shares: 3, threshold: 2 });
+  const [, b] = SecretSharing.split(MASTER_KEY, { shares: 3, threshold: 2 });
+
+  assert.throws(() => SecretSharing.combine([a, b]), /different splits/);
+});
+
+test('invalid split options are rejected', () => {
+  assert.throws(() => SecretSharing.split(MASTER_KEY, { shares: 1, threshold: 1 }), /Share count/);
+  assert.throws(() => SecretSharing.split(MASTER_KEY, { shares: 3, threshold: 4 }), /Threshold/);
+  assert.throws(() => SecretSharing.split(MASTER_KEY, { shares: 256, threshold: 2 }), /Share count/);
+});
+
+test('Decoder.fromShares verifies messages under the recombined key', () => {
+  const shares = SecretSharing.split(MASTER_KEY, { shares: 5, threshold: 3 });
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 11);
+
+  const decoder = Decoder.fromShares([shares[4], shares[1], shares[2]], { timingAttackProtection: false });
+  assert.strictEqual(decoder.decrypt(encrypted.encryptedData).cmacValid, true);
+
+  assert.throws(() => Decoder.fromShares(shares.slice(0, 2)), /At least 3 shares/);
+});
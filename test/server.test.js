@@ -0,0 +1,106 @@
+/**
+ * Verification server tests on an ephemeral port
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { test } = require('../test');
+const { Encoder, VerificationServer } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+
+/**
+ * Issue a POST request with a raw body
+ * @param {number} port - Server port
+ * @param {string} path - Request path
+ * @param {string} body - Request body
+ * @returns {Promise<Object>} Object containing status, headers, parsed body and whether the socket closed
+ */
+function post(port, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method: 'POST', agent: false }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        const result = { status: res.statusCode, headers: res.headers, body: JSON.parse(text) };
+        if (res.socket.destroyed) {
+          return resolve({ ...result, closed: true });
+        }
+        res.socket.once('close', () => resolve({ ...result, closed: true }));
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Run a test body against a started server and always stop it
+ * @param {Object} config - Server configuration
+ * @param {Function} fn - Receives the bound port
+ * @returns {Promise<void>} Resolves when the server is stopped
+ */
+async function withServer(config, fn) {
+  const server = new VerificationServer({ masterKey: MASTER_KEY, port: 0, decoder: { timingAttackProtection: false }, ...config });
+  const { port } = await server.start();
+
+  try {
+    await fn(port);
+  } finally {
+    await server.stop();
+  }
+}
+
+test('server verifies a valid tap and rejects its replay', async () => {
+  await withServer({ replayStoreFile: ':memory:' }, async port => {
+    const url = Encoder.generateURL(Encoder.encrypt(MASTER_KEY, UID, 5), 'https://example.com/tap');
+
+    const valid = await post(port, '/verify', JSON.stringify({ url }));
+    assert.strictEqual(valid.status, 200);
+    assert.deepStrictEqual([valid.body.success, valid.body.uid, valid.body.readCounter], [true, UID, 5]);
+    assert.strictEqual(valid.headers['cache-control'], 'no-store');
+
+    const replayed = await post(port, '/verify', JSON.stringify({ url }));
+    assert.strictEqual(replayed.status, 409);
+    assert.strictEqual(replayed.body.errorCode, 'REPLAY_DETECTED');
+  });
+});
+
+test('server answers 422 for a bad CMAC', async () => {
+  await withServer({}, async port => {
+    const { picc, cmac } = Encoder.encrypt(MASTER_KEY, UID, 5).encryptedData;
+    const badCmac = `${cmac.slice(0, -1)}${cmac.endsWith('0') ? '1' : '0'}`;
+
+    const response = await post(port, '/verify', JSON.stringify({ picc, cmac: badCmac }));
+    assert.strictEqual(response.status, 422);
+    assert.strictEqual(response.body.errorCode, 'CMAC_INVALID');
+  });
+});
+
+test('server answers 400 for malformed input', async () => {
+  await withServer({}, async port => {
+    const malformed = {
+      '{"url":': 'VALIDATION_ERROR',
+      '[]': 'VALIDATION_ERROR',
+      '{"picc":"EF963FF7828658A599F3041510671E88"}': 'SDM_PROFILE_ERROR'
+    };
+
+    for (const [body, errorCode] of Object.entries(malformed)) {
+      const response = await post(port, '/verify', body);
+      assert.strictEqual(response.status, 400, body);
+      assert.strictEqual(response.body.errorCode, errorCode, body);
+    }
+  });
+});
+
+test('server answers 413 for an oversized body and closes the connection', async () => {
+  await withServer({ maxBodyBytes: 64 }, async port => {
+    const response = await post(port, '/verify', JSON.stringify({ url: `https://example.com/${'x'.repeat(1024)}` }));
+
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(response.headers.connection, 'close');
+    assert.strictEqual(response.closed, true);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Session key cache tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+const SessionKeyCache = require('../lib/session-key-cache');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const INPUT = Buffer.alloc(10);
+
+/**
+ * Derivation stub returning recognisable non-zero keys
+ * @param {number} fill - Byte value of the keys
+ * @returns {Function} Derivation function
+ */
+function keys(fill) {
+  return () => ({ encKey: Buffer.alloc(16, fill), macKey: Buffer.alloc(16, fill + 1), method: 'stub' });
+}
+
+test('least recently used entries are evicted first', () => {
+  const cache = new SessionKeyCache(2);
+  const derived = [];
+  const get = (keyId, fill) => cache.get(keyId, 'stub', INPUT, () => {
+    derived.push(keyId);
+    return keys(fill)();
+  });
+
+  get('a', 0x10);
+  get('b', 0x20);
+  get('a', 0x10);
+  get('c', 0x30);
+
+  assert.deepStrictEqual([...cache.entries.keys()].map(key => key.split('\u0000')[0]), ['a', 'c']);
+
+  get('a', 0x10);
+  get('b', 0x20);
+  assert.deepStrictEqual(derived, ['a', 'b', 'c', 'b']);
+  assert.deepStrictEqual([...cache.entries.keys()].map(key => key.split('\u0000')[0]), ['a', 'b']);
+});
+
+test('evicted and cleared keys are zeroised', () => {
+  const cache = new SessionKeyCache(1);
+  const source = keys(0x10)();
+  const first = cache.get('a', 'stub', INPUT, () => source);
+  const [entry] = cache.entries.values();
+
+  assert.ok(source.encKey.every(byte => byte === 0) && source.macKey.every(byte => byte === 0), 'derived copies are zeroised');
+  assert.ok(first.encKey.every(byte => byte === 0x10));
+
+  const second = cache.get('b', 'stub', INPUT, keys(0x20));
+  assert.ok(entry.encKey.cleared && entry.macKey.cleared);
+  assert.ok(first.encKey.every(byte => byte === 0) && first.macKey.every(byte => byte === 0));
+  assert.ok(second.encKey.every(byte => byte === 0x20));
+
+  cache.clear();
+  assert.ok(second.encKey.every(byte => byte === 0) && second.macKey.every(byte => byte === 0));
+  assert.strictEqual(cache.getStats().size, 0);
+});
+
+test('cache statistics count hits, misses and evictions', () => {
+  const cache = new SessionKeyCache(2);
+  for (const keyId of ['a', 'b', 'a', 'c', 'a', 'b']) {
+    cache.get(keyId, 'stub', INPUT, keys(0x10));
+  }
+
+  assert.deepStrictEqual(cache.getStats(), { size: 2, maxSize: 2, hits: 2, misses: 4, evictions: 2, hitRate: 2 / 6 });
+
+  const disabled = new SessionKeyCache(0);
+  disabled.get('a', 'stub', INPUT, keys(0x10));
+  assert.deepStrictEqual(disabled.getStats(), { size: 0, maxSize: 0, hits: 0, misses: 1, evictions: 0, hitRate: 0 });
+});
+
+test('decoder caches zero-vector session keys only', () => {
+  const zeroVector = new Decoder(MASTER_KEY, { timingAttackProtection: false });
+  for (const counter of [1, 2, 3]) {
+    assert.strictEqual(zeroVector.decrypt(Encoder.encrypt(MASTER_KEY, UID, counter).encryptedData).cmacValid, true);
+  }
+  assert.deepStrictEqual(zeroVector.getSessionKeyCacheStats(), { size: 1, maxSize: 16, hits: 2, misses: 1, evictions: 0, hitRate: 2 / 3 });
+
+  const nxp = new Decoder(MASTER_KEY, { sunMode: 'nxp', timingAttackProtection: false });
+  assert.strictEqual(nxp.decrypt(Encoder.encrypt(MASTER_KEY, UID, 1, null, { sunMode: 'nxp' }).encryptedData).cmacValid, true);
+  assert.deepStrictEqual(nxp.getSessionKeyCacheStats(), { size: 0, maxSize: 16, hits: 0, misses: 0, evictions: 0, hitRate: 0 });
+
+  zeroVector.destroy();
+  assert.strictEqual(zeroVector.sessionKeyCache.getStats().size, 0);
+});
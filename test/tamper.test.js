@@ -0,0 +1,61 @@
+/**
+ * TagTamper status mirror tests
+ */
+
+const assert = require('assert');
+const { test } = require('../test');
+const { Encoder, Decoder } = require('../ntag424-crypto');
+
+const MASTER_KEY = '00112233445566778899AABBCCDDEEFF';
+const UID = '04AABBCCDDEEFF';
+const OPTIONS = { sdmProfile: 'tagTamper', sunMode: 'nxp', sdmMacInputMarker: 'tt', timingAttackProtection: false };
+
+/**
+ * Build a genuine tag URL with a plain tamper status mirror
+ * @param {string} tamperStatus - Mirrored status, e.g. 'OO'
+ * @returns {string} URL
+ */
+function tagUrl(tamperStatus) {
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 7, null, { sdmProfile: 'tagTamper', sunMode: 'nxp', tamperStatus });
+  return Encoder.generateURL(encrypted, 'https://example.com/tap');
+}
+
+test('genuine tt mirror verifies and decodes', () => {
+  const url = tagUrl('OO');
+  assert.ok(url.includes('&tt=OO&cmac='));
+
+  const result = new Decoder(MASTER_KEY, OPTIONS).decrypt(url);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.cmacValid, true);
+  assert.deepStrictEqual([result.tamper.permanent, result.tamper.current], ['open', 'open']);
+});
+
+test('flipped tt value makes cmacValid false', () => {
+  const forged = tagUrl('OO').replace('tt=OO', 'tt=CC');
+
+  const result = new Decoder(MASTER_KEY, OPTIONS).decrypt(forged);
+  assert.strictEqual(result.cmacValid, false);
+});
+
+test('tt outside the MAC input is rejected', () => {
+  // Empty MAC input (no file data) with a tt appended after the CMAC
+  const encrypted = Encoder.encrypt(MASTER_KEY, UID, 7, null, { sdmProfile: 'uidCounter', sunMode: 'nxp' });
+  const url = `${Encoder.generateURL(encrypted, 'https://example.com/tap')}&tt=CC`;
+  const macOffset = url.indexOf('cmac=') + 'cmac='.length;
+
+  const decoder = new Decoder(MASTER_KEY, { ...OPTIONS, sdmMacInputMarker: null, sdmMacInputOffset: macOffset });
+  const result = decoder.decrypt(url);
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /not covered by the CMAC/);
+});
+
+test('tamper mirror without MAC input configuration is rejected at construction', () => {
+  assert.throws(() => new Decoder(MASTER_KEY, { sdmProfile: 'tagTamper', sunMode: 'nxp' }), /sdmMacInputOffset or sdmMacInputMarker/);
+  assert.throws(() => new Decoder(MASTER_KEY, { sdmProfile: 'tagTamper' }), /sunMode 'nxp' or 'plain'/);
+});
+
+test('Encoder requires a tamper status for the tagTamper profile', () => {
+  assert.throws(() => Encoder.encrypt(MASTER_KEY, UID, 7, null, { sdmProfile: 'tagTamper', sunMode: 'nxp' }), /requires a tamperStatus/);
+  assert.throws(() => Encoder.encrypt(MASTER_KEY, UID, 7, null, { sdmProfile: 'tagTamper', tamperStatus: 'CC' }), /sunMode 'nxp'/);
+});